@@ -1,4 +1,6 @@
 import { Move, Piece, Special } from './pieces.js';
+import { Evaluation } from './evaluation.js';
+import { GeneratorAnalyzer } from './analyzer.js';
 
 // Seeded Random Number Generator (using mulberry32)
 class SeededRandom {
@@ -18,6 +20,73 @@ class SeededRandom {
 class PieceGenerator {
     static symmetries = ['Horizontal', '4way', '8way'];
 
+    // Back-rank piece archetypes, in generation order
+    static archetypes = ['powerhouse', 'slider', 'trickster', 'flower'];
+
+    // Options for generateRandomPieces. The defaults reproduce the classic
+    // generation exactly, so existing seeds keep their armies.
+    static defaultGenerationOptions = {
+        // Archetypes to draw from; excluded slots reuse the included ones
+        archetypes: ['powerhouse', 'slider', 'trickster', 'flower'],
+        // Longest slide in squares; -1 for unlimited
+        maxSlideDistance: -1,
+        // false removes leaper moves (knight-like and length-2 jumps)
+        jumpers: true,
+        // 'random' (80% normal, 10% orthogonal, 10% diagonal), 'normal',
+        // 'orthogonal' or 'diagonal'
+        kingStyle: 'random',
+        // 'standard': pawns choose a promotion and forward-only pieces
+        // upgrade; 'pawns-only': no move upgrades; 'none': no promotions
+        promotionStyle: 'standard',
+        // Re-roll bounds over GeneratorAnalyzer's static and self-play
+        // metrics, measured on `boardSize` ({rows, cols}; null for 8x8)
+        bounds: null,
+        maxRerolls: 20,
+        boardSize: null,
+    };
+
+    // Fill in defaults and drop invalid values (with a warning)
+    static normalizeGenerationOptions(options = {}) {
+        const settings = { ...this.defaultGenerationOptions, ...options };
+        const archetypes = (settings.archetypes || []).filter((a) =>
+            this.archetypes.includes(a)
+        );
+        if (archetypes.length === 0) {
+            console.warn('No valid archetypes given; using all of them');
+            settings.archetypes = [...this.archetypes];
+        } else {
+            settings.archetypes = archetypes;
+        }
+        if (
+            !['random', 'normal', 'orthogonal', 'diagonal'].includes(
+                settings.kingStyle
+            )
+        ) {
+            console.warn('Unknown kingStyle; using random', settings.kingStyle);
+            settings.kingStyle = 'random';
+        }
+        if (
+            !['standard', 'pawns-only', 'none'].includes(
+                settings.promotionStyle
+            )
+        ) {
+            console.warn(
+                'Unknown promotionStyle; using standard',
+                settings.promotionStyle
+            );
+            settings.promotionStyle = 'standard';
+        }
+        if (!(settings.maxSlideDistance >= 1)) settings.maxSlideDistance = -1;
+        return settings;
+    }
+
+    // Apply the maxSlideDistance cap to a generated move distance
+    static clampDistance(distance, options = {}) {
+        const max = options.maxSlideDistance;
+        if (!(max >= 1)) return distance;
+        return distance === -1 || distance > max ? max : distance;
+    }
+
     // Analyze if a piece has only forward or only vertical movement
     static isDirectionallyRestricted(moves) {
         const baseSteps = [];
@@ -109,7 +178,12 @@ class PieceGenerator {
         return baseRange;
     }
 
-    static generateUpgradeMoves(originalMoves, rng, bonusRange = null) {
+    static generateUpgradeMoves(
+        originalMoves,
+        rng,
+        bonusRange = null,
+        options = {}
+    ) {
         const newMoves = [...originalMoves];
         let attemptsLeft = 10;
 
@@ -148,6 +222,11 @@ class PieceGenerator {
                 attemptsLeft++;
                 continue;
             }
+            const isLeap = !(dx === 0 || dy === 0 || dx === dy);
+            if (isLeap && options.jumpers === false) {
+                attemptsLeft++;
+                continue;
+            }
 
             const symmetry =
                 this.symmetries[
@@ -156,8 +235,10 @@ class PieceGenerator {
             const isStraightMove = dx === 0 || dy === 0 || dx === dy;
             const jump =
                 isStraightMove || isOrthogonal ? 'prohibited' : 'required';
-            const distance =
-                jump === 'required' ? 1 : rng.next() < 0.5 ? -1 : 1;
+            const distance = this.clampDistance(
+                jump === 'required' ? 1 : rng.next() < 0.5 ? -1 : 1,
+                options
+            );
 
             newMoves.push(new Move([dx, dy], symmetry, distance, jump, false));
         }
@@ -197,8 +278,10 @@ class PieceGenerator {
             const isStraightMove = dx === 0 || dy === 0 || dx === dy;
             const jump =
                 isStraightMove || isOrthogonal ? 'prohibited' : 'required';
-            const distance =
-                jump === 'required' ? 1 : rng.next() < 0.5 ? -1 : 1;
+            const distance = this.clampDistance(
+                jump === 'required' ? 1 : rng.next() < 0.5 ? -1 : 1,
+                options
+            );
 
             newMoves.push(new Move([dx, dy], symmetry, distance, jump, false));
         }
@@ -206,10 +289,22 @@ class PieceGenerator {
         return newMoves;
     }
 
-    static generateRandomPieces(seed = null) {
+    // Generate a seed's piece set. `options` tunes generation (see
+    // defaultGenerationOptions); the same seed and options always give the
+    // same set. `options.bounds` ({metric: {min, max}} over
+    // GeneratorAnalyzer's metrics) re-rolls seeds whose set falls outside
+    // the bounds; see resolveSeed. The set's `__withinBounds` is false when
+    // no re-roll qualified.
+    static generateRandomPieces(seed = null, options = {}) {
         if (seed === null) {
             seed = Date.now() % 1000000;
         }
+        const settings = this.normalizeGenerationOptions(options);
+        let resolved = null;
+        if (settings.bounds) {
+            resolved = this.resolveSeed(seed, settings);
+            seed = resolved.seed;
+        }
 
         const rng = new SeededRandom(seed);
 
@@ -264,16 +359,25 @@ class PieceGenerator {
             [-1, 1],
             [-1, -1],
         ];
+        // Always draw, so a fixed kingStyle leaves the other pieces unchanged
         const kingRnd = rng.next();
+        const kingStyle =
+            settings.kingStyle !== 'random'
+                ? settings.kingStyle
+                : kingRnd < 0.1
+                ? 'orthogonal'
+                : kingRnd < 0.2
+                ? 'diagonal'
+                : 'normal';
         let chosenKingSteps = kingStepsAll;
-        if (kingRnd < 0.1) {
+        if (kingStyle === 'orthogonal') {
             chosenKingSteps = [
                 [1, 0],
                 [-1, 0],
                 [0, 1],
                 [0, -1],
             ];
-        } else if (kingRnd < 0.2) {
+        } else if (kingStyle === 'diagonal') {
             chosenKingSteps = [
                 [1, 1],
                 [1, -1],
@@ -312,7 +416,7 @@ class PieceGenerator {
                 const interPresent = absHas(interAx, interAy);
                 const jumpPresent = absHas(Math.abs(jx), Math.abs(jy));
 
-                if (!interPresent && !jumpPresent) {
+                if (!interPresent && !jumpPresent && settings.jumpers) {
                     let symR = Math.abs(jx) === Math.abs(jy) ? '8way' : '4way';
                     royalMoves.push(
                         new Move([jx, jy], symR, 1, 'required', false)
@@ -393,7 +497,8 @@ class PieceGenerator {
                 upgradeMoves = this.generateUpgradeMoves(
                     moves,
                     rng,
-                    bonusRange
+                    bonusRange,
+                    settings
                 );
             }
 
@@ -409,11 +514,16 @@ class PieceGenerator {
             );
         };
 
-        let powerhouse;
-        {
+        const buildPowerhouse = () => {
+            let powerhouse;
             let attempts = 0;
             do {
-                const moves = this.generateRandomMoves(n + 2, false, rng);
+                const moves = this.generateRandomMoves(
+                    n + 2,
+                    false,
+                    rng,
+                    settings
+                );
                 const candidate = createNonRoyal(moves);
                 const sig = pieceSignature(candidate);
                 if (!usedSignatures.has(sig)) {
@@ -425,37 +535,51 @@ class PieceGenerator {
                 attempts++;
             } while (attempts < 30);
             if (!powerhouse) {
-                const moves = this.generateRandomMoves(n + 2, false, rng);
+                const moves = this.generateRandomMoves(
+                    n + 2,
+                    false,
+                    rng,
+                    settings
+                );
                 powerhouse = createNonRoyal(moves);
                 pieces.push(powerhouse);
                 usedSignatures.add(pieceSignature(powerhouse));
             }
-        }
+            return powerhouse;
+        };
 
-        let slider;
-        {
+        // The slider gets at least one slide of this length
+        const longestSlide = this.clampDistance(-1, settings);
+        const buildSlider = () => {
+            let slider;
             let attempts = 0;
             do {
-                const moves = this.generateRandomMoves(n + 1, false, rng);
+                const moves = this.generateRandomMoves(
+                    n + 1,
+                    false,
+                    rng,
+                    settings
+                );
                 const candidate = createNonRoyal(moves);
                 const sig = pieceSignature(candidate);
                 if (!usedSignatures.has(sig)) {
                     slider = candidate;
                     let hasUnlimited = slider.moves.some(
-                        (m) => m.distance === -1 && m.jump !== 'required'
+                        (m) =>
+                            m.distance === longestSlide && m.jump !== 'required'
                     );
                     if (!hasUnlimited) {
                         const slideIdx = slider.moves.findIndex(
                             (m) => m.jump !== 'required'
                         );
                         if (slideIdx >= 0) {
-                            slider.moves[slideIdx].distance = -1;
+                            slider.moves[slideIdx].distance = longestSlide;
                         } else {
                             slider.moves.push(
                                 new Move(
                                     [1, 0],
                                     '4way',
-                                    -1,
+                                    longestSlide,
                                     'prohibited',
                                     false
                                 )
@@ -488,7 +612,8 @@ class PieceGenerator {
                         slider.upgradeMoves = this.generateUpgradeMoves(
                             slider.moves,
                             rng,
-                            bonusRange
+                            bonusRange,
+                            settings
                         );
                     } else {
                         slider.promotionRank = -1;
@@ -503,20 +628,33 @@ class PieceGenerator {
                 attempts++;
             } while (attempts < 30);
             if (!slider) {
-                const moves = this.generateRandomMoves(n + 1, false, rng);
+                const moves = this.generateRandomMoves(
+                    n + 1,
+                    false,
+                    rng,
+                    settings
+                );
                 slider = createNonRoyal(moves);
                 if (
                     !slider.moves.some(
-                        (m) => m.distance === -1 && m.jump !== 'required'
+                        (m) =>
+                            m.distance === longestSlide && m.jump !== 'required'
                     )
                 ) {
                     const slideIdx = slider.moves.findIndex(
                         (m) => m.jump !== 'required'
                     );
-                    if (slideIdx >= 0) slider.moves[slideIdx].distance = -1;
+                    if (slideIdx >= 0)
+                        slider.moves[slideIdx].distance = longestSlide;
                     else
                         slider.moves.push(
-                            new Move([1, 0], '4way', -1, 'prohibited', false)
+                            new Move(
+                                [1, 0],
+                                '4way',
+                                longestSlide,
+                                'prohibited',
+                                false
+                            )
                         );
                 }
                 if (
@@ -539,7 +677,8 @@ class PieceGenerator {
                     slider.upgradeMoves = this.generateUpgradeMoves(
                         slider.moves,
                         rng,
-                        bonusRange
+                        bonusRange,
+                        settings
                     );
                 } else {
                     slider.promotionRank = -1;
@@ -550,19 +689,20 @@ class PieceGenerator {
                 pieces.push(slider);
                 usedSignatures.add(pieceSignature(slider));
             }
-        }
+            return slider;
+        };
 
-        let trickster;
-        {
+        const buildTrickster = () => {
+            let trickster;
             let attempts = 0;
             do {
-                const moves = this.generateRandomMoves(n, false, rng);
+                const moves = this.generateRandomMoves(n, false, rng, settings);
                 const candidate = createNonRoyal(moves);
 
                 const hasJump = candidate.moves.some(
                     (m) => m.jump === 'required'
                 );
-                if (!hasJump) {
+                if (!hasJump && settings.jumpers) {
                     candidate.moves.push(
                         new Move([2, 1], '4way', 1, 'required', false)
                     );
@@ -609,7 +749,8 @@ class PieceGenerator {
                     candidate.upgradeMoves = this.generateUpgradeMoves(
                         candidate.moves,
                         rng,
-                        bonusRange
+                        bonusRange,
+                        settings
                     );
                 } else {
                     candidate.promotionRank = -1;
@@ -627,9 +768,12 @@ class PieceGenerator {
                 attempts++;
             } while (attempts < 30);
             if (!trickster) {
-                const moves = this.generateRandomMoves(n, false, rng);
+                const moves = this.generateRandomMoves(n, false, rng, settings);
                 trickster = createNonRoyal(moves);
-                if (!trickster.moves.some((m) => m.jump === 'required')) {
+                if (
+                    settings.jumpers &&
+                    !trickster.moves.some((m) => m.jump === 'required')
+                ) {
                     trickster.moves.push(
                         new Move([2, 1], '4way', 1, 'required', false)
                     );
@@ -673,7 +817,8 @@ class PieceGenerator {
                     trickster.upgradeMoves = this.generateUpgradeMoves(
                         trickster.moves,
                         rng,
-                        bonusRange
+                        bonusRange,
+                        settings
                     );
                 } else {
                     trickster.promotionRank = -1;
@@ -684,13 +829,19 @@ class PieceGenerator {
                 pieces.push(trickster);
                 usedSignatures.add(pieceSignature(trickster));
             }
-        }
+            return trickster;
+        };
 
-        let flower;
-        {
+        const buildFlower = () => {
+            let flower;
             let attempts = 0;
             do {
-                const moves = this.generateRandomMoves(n + 2, false, rng);
+                const moves = this.generateRandomMoves(
+                    n + 2,
+                    false,
+                    rng,
+                    settings
+                );
                 const candidate = createNonRoyal(moves);
 
                 for (const m of candidate.moves) {
@@ -735,7 +886,7 @@ class PieceGenerator {
                         const interPresent = absHas(interAx, interAy);
                         const jumpPresent = absHas(Math.abs(jx), Math.abs(jy));
 
-                        if (!interPresent && !jumpPresent) {
+                        if (!interPresent && !jumpPresent && settings.jumpers) {
                             let sym = existingSymmetry;
                             if (!sym)
                                 sym =
@@ -801,7 +952,8 @@ class PieceGenerator {
                     candidate.upgradeMoves = this.generateUpgradeMoves(
                         candidate.moves,
                         rng,
-                        bonusRange
+                        bonusRange,
+                        settings
                     );
                 } else {
                     candidate.promotionRank = -1;
@@ -819,7 +971,12 @@ class PieceGenerator {
                 attempts++;
             } while (attempts < 30);
             if (!flower) {
-                const moves = this.generateRandomMoves(n + 2, false, rng);
+                const moves = this.generateRandomMoves(
+                    n + 2,
+                    false,
+                    rng,
+                    settings
+                );
                 flower = createNonRoyal(moves);
                 for (const m of flower.moves) {
                     m.symmetry = 'Horizontal';
@@ -851,7 +1008,7 @@ class PieceGenerator {
                         const interPresent = absHas(interAx, interAy);
                         const jumpPresent = absHas(Math.abs(jx), Math.abs(jy));
 
-                        if (!interPresent && !jumpPresent) {
+                        if (!interPresent && !jumpPresent && settings.jumpers) {
                             const existingSymmetryF = flower.moves.find(
                                 (m) => m.symmetry === '8way'
                             )
@@ -904,7 +1061,8 @@ class PieceGenerator {
                     flower.upgradeMoves = this.generateUpgradeMoves(
                         flower.moves,
                         rng,
-                        bonusRange
+                        bonusRange,
+                        settings
                     );
                 } else {
                     flower.promotionRank = -1;
@@ -914,7 +1072,25 @@ class PieceGenerator {
                 pieces.push(flower);
                 usedSignatures.add(pieceSignature(flower));
             }
-        }
+            return flower;
+        };
+
+        // Fill the four back-rank slots; a slot whose archetype is excluded
+        // takes an included one instead
+        const builders = {
+            powerhouse: buildPowerhouse,
+            slider: buildSlider,
+            trickster: buildTrickster,
+            flower: buildFlower,
+        };
+        let trickster = null;
+        this.archetypes.forEach((slot, i) => {
+            const kind = settings.archetypes.includes(slot)
+                ? slot
+                : settings.archetypes[i % settings.archetypes.length];
+            const piece = builders[kind]();
+            if (kind === 'trickster' && !trickster) trickster = piece;
+        });
 
         let hasKnight = false;
         for (let i = 1; i <= 4; i++) {
@@ -933,11 +1109,8 @@ class PieceGenerator {
             if (hasKnight) break;
         }
 
-        if (!hasKnight) {
-            const target =
-                typeof trickster !== 'undefined' && trickster
-                    ? trickster
-                    : pieces[1];
+        if (!hasKnight && settings.jumpers) {
+            const target = trickster || pieces[1];
             if (target) {
                 target.moves.push(
                     new Move([2, 1], '4way', 1, 'required', false)
@@ -984,15 +1157,180 @@ class PieceGenerator {
         );
         pieces.push(pawn);
 
+        if (settings.promotionStyle !== 'standard') {
+            // Upgrade moves were still generated above so the RNG sequence,
+            // and with it the rest of the set, matches the standard style
+            for (const piece of pieces) {
+                if (piece.promotionType !== 'move-upgrade') continue;
+                piece.promotionRank = -1;
+                piece.promotionType = null;
+                piece.upgradeMoves = [];
+            }
+        }
+        if (settings.promotionStyle === 'none') {
+            pawn.promotionPieces = [];
+            pawn.promotionRank = -1;
+            pawn.promotionType = null;
+        }
+
         // Expose the actual seed used for generation so callers (UI, server)
         // can display/share it even when `seed` was not provided.
         try {
             pieces.__seed = seed;
+            pieces.__withinBounds = resolved ? resolved.withinBounds : true;
         } catch (e) { console.warn('Ignored error (Generator.js)', e); }
 
         return pieces;
     }
 
+    // First seed in the deterministic re-roll sequence for `seed` whose piece
+    // set satisfies `options.bounds` on `options.boardSize`, trying up to
+    // `options.maxRerolls` (default 20) alternatives. Self-play metrics come
+    // from GeneratorAnalyzer.quickSelfPlayMetrics (seconds per candidate), and
+    // only for candidates within the static bounds. Returns {seed,
+    // withinBounds, violations}: when nothing qualifies, `seed` itself with
+    // withinBounds false and its violations. Unknown metrics throw.
+    static resolveSeed(seed, options = {}) {
+        const bounds = options.bounds || {};
+        const maxRerolls =
+            options.maxRerolls !== undefined ? options.maxRerolls : 20;
+        const size = options.boardSize || null;
+        const staticNames = GeneratorAnalyzer.staticMetricNames;
+        const selfPlayNames = GeneratorAnalyzer.selfPlayMetricNames;
+        const unknown = Object.keys(bounds).filter(
+            (metric) =>
+                !staticNames.includes(metric) && !selfPlayNames.includes(metric)
+        );
+        if (unknown.length > 0) {
+            throw new Error(`Unknown bounds metrics: ${unknown.join(', ')}`);
+        }
+        const needsSelfPlay = Object.keys(bounds).some((metric) =>
+            selfPlayNames.includes(metric)
+        );
+
+        let firstViolations = null;
+        for (let attempt = 0; attempt <= maxRerolls; attempt++) {
+            const candidate = this.rerollSeed(seed, attempt);
+            const pieces = this.generateRandomPieces(candidate, {
+                ...options,
+                bounds: null,
+            });
+            const placement = this.generatePlacement(pieces, candidate, size);
+            let metrics = GeneratorAnalyzer.staticMetrics(
+                pieces,
+                placement,
+                candidate
+            );
+            let violations = GeneratorAnalyzer.violations(metrics, bounds);
+            if (violations.length === 0 && needsSelfPlay) {
+                metrics = {
+                    ...metrics,
+                    ...GeneratorAnalyzer.quickSelfPlayMetrics(
+                        pieces,
+                        placement,
+                        candidate,
+                        { size }
+                    ),
+                };
+                violations = GeneratorAnalyzer.violations(metrics, bounds);
+            }
+            if (violations.length === 0) {
+                return { seed: candidate, withinBounds: true, violations };
+            }
+            if (!firstViolations) firstViolations = violations;
+        }
+
+        return { seed, withinBounds: false, violations: firstViolations };
+    }
+
+    // Seed tried on re-roll `attempt` (0 = the seed itself)
+    static rerollSeed(seed, attempt) {
+        return seed + attempt * 7919;
+    }
+
+    // Independently generated armies for white and black. White gets the
+    // seed's usual set; black gets whichever of `asymmetricCandidates`
+    // re-rolled sets (default 6) is closest to it in armyStrength. Returns
+    // {white, black, seed, blackSeed}.
+    static generateAsymmetricArmies(seed, options = {}) {
+        const white = this.generateRandomPieces(seed, options);
+        const whiteSeed = white.__seed;
+        const whiteStrength = this.armyStrength(white);
+        const candidates =
+            options.asymmetricCandidates !== undefined
+                ? options.asymmetricCandidates
+                : 6;
+
+        let best = null;
+        for (let attempt = 1; attempt <= Math.max(1, candidates); attempt++) {
+            const blackSeed = this.rerollSeed(whiteSeed, attempt);
+            const black = this.generateRandomPieces(blackSeed, options);
+            const gap = Math.abs(this.armyStrength(black) - whiteStrength);
+            if (!best || gap < best.gap) best = { black, blackSeed, gap };
+        }
+
+        return {
+            white,
+            black: best.black,
+            seed: whiteSeed,
+            blackSeed: best.blackSeed,
+        };
+    }
+
+    // Estimated material of a full army in its start position: two of each
+    // back-rank piece except the strongest, plus eight pawns
+    static armyStrength(pieces) {
+        const { remainingPieces, strongestIndex } = this.generatePlacement(
+            pieces,
+            0
+        );
+        let total = Evaluation.pieceTypeValue(pieces[strongestIndex]);
+        for (const index of remainingPieces) {
+            total += 2 * Evaluation.pieceTypeValue(pieces[index]);
+        }
+        return total + 8 * Evaluation.pieceTypeValue(pieces[5]);
+    }
+
+    // Placement for asymmetric armies: white's layout and king variant at
+    // the top level as usual, black's own layout under `black`. With
+    // `shuffle` both back ranks are shuffled on the same files.
+    static generateAsymmetricPlacement(
+        white,
+        black,
+        seed = null,
+        size = null,
+        shuffle = false
+    ) {
+        const whitePlacement = this.generatePlacement(white, seed, size);
+        const blackPlacement = this.generatePlacement(
+            black,
+            seed !== null ? seed + 1 : null,
+            size
+        );
+        const blackLayout = {
+            remainingPieces: blackPlacement.remainingPieces,
+            strongestIndex: blackPlacement.strongestIndex,
+        };
+        if (blackPlacement.extraPieces)
+            blackLayout.extraPieces = blackPlacement.extraPieces;
+        const placement = {
+            ...whitePlacement,
+            kingVariants: {
+                white: whitePlacement.kingVariants.white,
+                black: blackPlacement.kingVariants.black,
+            },
+            black: blackLayout,
+        };
+        if (shuffle) {
+            const rng = seed !== null ? new SeededRandom(seed + 2) : null;
+            this.shuffleBackRank(
+                placement,
+                rng ? () => rng.next() : Math.random
+            );
+        }
+        return placement;
+    }
+
     static selectSymbolForPiece(
         moves,
         isRoyal,
@@ -1112,7 +1450,12 @@ class PieceGenerator {
         return symbolArray[Math.floor(random() * symbolArray.length)];
     }
 
-    static generateRandomMoves(count, isRoyal = false, rng = null) {
+    static generateRandomMoves(
+        count,
+        isRoyal = false,
+        rng = null,
+        options = {}
+    ) {
         const random = rng ? () => rng.next() : Math.random;
         const moves = [];
 
@@ -1126,7 +1469,8 @@ class PieceGenerator {
                 (dx === 0 && dy === 0) ||
                 (dx === 0 && dy >= 2) ||
                 (dy === 0 && dx >= 2) ||
-                (dx === dy && dx >= 2)
+                (dx === dy && dx >= 2) ||
+                (options.jumpers === false && dx !== 0 && dy !== 0 && dx !== dy)
             );
 
             const symmetry = isRoyal
@@ -1159,6 +1503,7 @@ class PieceGenerator {
                 else if (r < 0.95) distance = 1;
                 else distance = 2;
             }
+            distance = this.clampDistance(distance, options);
 
             moves.push(
                 new Move([dx, dy], symmetry, distance, jump, requiresUnmoved)
@@ -1182,18 +1527,24 @@ class PieceGenerator {
                 if (dx >= 2) dx = 1;
                 if (dy >= 2) dy = 1;
             }
+            if (options.jumpers === false && dx !== 0 && dx !== dy) {
+                dx = 1; // knight-like step: make it a diagonal instead
+                dy = 1;
+            }
 
             const symmetry =
                 this.symmetries[Math.floor(random() * this.symmetries.length)];
             const isStraightMove = dx === 0 || dy === 0 || dx === dy;
             const jump =
                 isStraightMove || isOrthogonal ? 'prohibited' : 'required';
-            const distance =
+            const distance = this.clampDistance(
                 jump === 'required'
                     ? 1
                     : random() < 0.5
                     ? -1
-                    : Math.floor(Math.pow(random(), 2) * 3) + 1;
+                    : Math.floor(Math.pow(random(), 2) * 3) + 1,
+                options
+            );
 
             moves[0] = new Move([dx, dy], symmetry, distance, jump, false);
         }
@@ -1201,7 +1552,11 @@ class PieceGenerator {
         return moves;
     }
 
-    static generatePlacement(pieces, rng = null) {
+    // `size` ({rows, cols}) is recorded on the placement so the engine sets
+    // up that board; ranks wider than 8 also draw `extraPieces` for the
+    // additional outer pairs (see backRankLayout). `shuffle` asks for a
+    // Chess960-style back rank (see shuffleBackRank).
+    static generatePlacement(pieces, rng = null, size = null, shuffle = false) {
         // Support passing either a SeededRandom-like object or a numeric seed.
         if (typeof rng === 'number') rng = new SeededRandom(rng);
         const random =
@@ -1255,7 +1610,7 @@ class PieceGenerator {
         // Ensure both kings receive the same variant so opposing royals
         // always have identical base movesets.
         const chosenKingVariant = pickVariant();
-        return {
+        const placement = {
             remainingPieces,
             strongestIndex,
             kingVariants: {
@@ -1263,41 +1618,109 @@ class PieceGenerator {
                 black: chosenKingVariant,
             },
         };
+
+        // Drawn after the classic fields so 8-column placements are unchanged
+        if (size) {
+            placement.rows = size.rows;
+            placement.cols = size.cols;
+            const extraPairs = Math.max(0, size.cols / 2 - 4);
+            if (extraPairs > 0) {
+                placement.extraPieces = [];
+                for (let i = 0; i < extraPairs; i++) {
+                    placement.extraPieces.push(
+                        candidates[Math.floor(random() * candidates.length)]
+                    );
+                }
+            }
+        }
+        if (shuffle) this.shuffleBackRank(placement, random);
+        return placement;
     }
 
-    static createMovementPatternIcon(
-        piece,
-        size = 80,
-        color = 'white',
-        playerPerspective = 'white',
-        isPromotionSquare = false,
-        defeated = false
-    ) {
-        const gridSize = 7;
-        const borderCells = 0.5;
-        const totalGridSize = gridSize + borderCells * 2;
-        const adjustedSize = Math.floor(size / totalGridSize) * totalGridSize;
-        const cellSize = adjustedSize / totalGridSize;
+    // Chess960-style setup: shuffle the back rank of `placement` (and
+    // black's under `placement.black`, on the same files) until it passes
+    // isValidShuffledBackRank. Sets `backRank` (the piece index per column,
+    // used by backRankLayout) and `chess960` (fixed-file castling in the
+    // engine); keeps the classic layout if no valid shuffle turns up.
+    static shuffleBackRank(placement, random) {
+        const cols = placement.cols || 8;
+        const classic = this.backRankLayout(placement, cols);
+        for (let attempt = 0; attempt < 1000; attempt++) {
+            const order = classic.map((_, col) => col);
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            const rank = order.map((col) => classic[col]);
+            if (!this.isValidShuffledBackRank(rank)) continue;
+
+            placement.backRank = rank;
+            placement.chess960 = true;
+            if (placement.black) {
+                const blackClassic = this.backRankLayout(placement.black, cols);
+                placement.black.backRank = order.map(
+                    (col) => blackClassic[col]
+                );
+            }
+            break;
+        }
+        return placement;
+    }
 
-        const canvas = document.createElement('canvas');
-        canvas.width = adjustedSize;
-        canvas.height = adjustedSize;
-        const ctx = canvas.getContext('2d');
-        ctx.imageSmoothingEnabled = false;
+    // A shuffled back rank (piece indices, the royal is 0) must keep the
+    // royal between the corner pieces it castles with, off the files it
+    // castles to (so castling always moves it), and split the copies of
+    // each type between light and dark squares, as Chess960 does for
+    // bishops, so color-bound pieces cover both colors
+    static isValidShuffledBackRank(rank) {
+        const cols = rank.length;
+        const royal = rank.indexOf(0);
+        if (royal <= 0 || royal >= cols - 1) return false;
+        if (royal === 2 || royal === cols - 2) return false;
+        const balance = new Map(); // type -> light minus dark squares
+        rank.forEach((type, col) => {
+            balance.set(type, (balance.get(type) || 0) + (col % 2 ? -1 : 1));
+        });
+        return [...balance.values()].every((v) => Math.abs(v) <= 1);
+    }
 
+    // Piece indices for a back rank `cols` wide from a placement layout:
+    // the strongest piece and royal in the middle, the remaining pieces
+    // mirrored outwards from them (A B C Strong King C B A on 8 columns).
+    // Wider ranks add `extraPieces` outside A (repeating the remaining
+    // pieces if the layout has none); narrower ranks drop the outermost.
+    // A shuffled layout's `backRank` is used as is.
+    static backRankLayout(layout, cols = 8) {
+        if (Array.isArray(layout.backRank) && layout.backRank.length === cols)
+            return [...layout.backRank];
+        const { remainingPieces, strongestIndex } = layout;
+        const slots = cols / 2 - 1;
+        const extras = [];
+        for (let i = 0; i < slots - remainingPieces.length; i++) {
+            extras.push(
+                layout.extraPieces && layout.extraPieces[i] !== undefined
+                    ? layout.extraPieces[i]
+                    : remainingPieces[i % remainingPieces.length]
+            );
+        }
+        const left = [...extras, ...remainingPieces].slice(-slots);
+        return [...left, strongestIndex, 0, ...left.slice().reverse()];
+    }
+
+    // Squares a piece reaches on an empty gridSize x gridSize pattern grid
+    // centred on the piece, as a Set of "x,y" keys (y grows downward).
+    // With `flip` the piece's forward direction points up the grid.
+    static getPatternReach(moves, gridSize = 7, flip = false) {
         const centerPos = Math.floor(gridSize / 2);
         const reachable = new Set();
 
-        for (const move of piece.moves) {
+        for (const move of moves) {
             if (move.requiresUnmoved) continue;
             const steps = move.getSteps();
             for (const [dx, dy] of steps) {
                 const maxDist = move.distance === -1 ? gridSize : move.distance;
                 for (let dist = 1; dist <= maxDist; dist++) {
-                    const shouldFlip =
-                        (playerPerspective === 'black' && color === 'black') ||
-                        (playerPerspective === 'white' && color === 'white');
-                    const flipDy = shouldFlip ? -dy : dy;
+                    const flipDy = flip ? -dy : dy;
                     const newX = centerPos + dx * dist;
                     const newY = centerPos + flipDy * dist;
                     if (
@@ -1317,39 +1740,43 @@ class PieceGenerator {
             }
         }
 
-        const upgradeReachable = new Set();
-        if (piece.upgradeMoves && piece.upgradeMoves.length > 0) {
-            for (const move of piece.upgradeMoves) {
-                if (move.requiresUnmoved) continue;
-                const stepsU = move.getSteps();
-                for (const [dx, dy] of stepsU) {
-                    const maxDistU =
-                        move.distance === -1 ? gridSize : move.distance;
-                    for (let dist = 1; dist <= maxDistU; dist++) {
-                        const shouldFlip =
-                            (playerPerspective === 'black' &&
-                                color === 'black') ||
-                            (playerPerspective === 'white' &&
-                                color === 'white');
-                        const flipDy = shouldFlip ? -dy : dy;
-                        const newX = centerPos + dx * dist;
-                        const newY = centerPos + flipDy * dist;
+        return reachable;
+    }
 
-                        if (
-                            newX >= 0 &&
-                            newX < gridSize &&
-                            newY >= 0 &&
-                            newY < gridSize
-                        ) {
-                            upgradeReachable.add(`${newX},${newY}`);
-                            if (move.jump === 'required') break;
-                        } else {
-                            break;
-                        }
-                    }
-                }
-            }
-        }
+    static createMovementPatternIcon(
+        piece,
+        size = 80,
+        color = 'white',
+        playerPerspective = 'white',
+        isPromotionSquare = false,
+        defeated = false
+    ) {
+        const gridSize = 7;
+        const borderCells = 0.5;
+        const totalGridSize = gridSize + borderCells * 2;
+        const adjustedSize = Math.floor(size / totalGridSize) * totalGridSize;
+        const cellSize = adjustedSize / totalGridSize;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = adjustedSize;
+        canvas.height = adjustedSize;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        const centerPos = Math.floor(gridSize / 2);
+        const shouldFlip =
+            (playerPerspective === 'black' && color === 'black') ||
+            (playerPerspective === 'white' && color === 'white');
+        const reachable = this.getPatternReach(
+            piece.moves,
+            gridSize,
+            shouldFlip
+        );
+        const upgradeReachable = this.getPatternReach(
+            piece.upgradeMoves || [],
+            gridSize,
+            shouldFlip
+        );
 
         for (let y = 0; y < gridSize; y++) {
             for (let x = 0; x < gridSize; x++) {
@@ -1418,8 +1845,8 @@ class PieceGenerator {
 
         if (!engine || !engine.board) return table;
 
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
+        for (let r = 0; r < engine.rows; r++) {
+            for (let c = 0; c < engine.cols; c++) {
                 const cell = engine.board[r][c];
                 if (!cell) continue;
                 const color = cell.color;
@@ -1461,8 +1888,8 @@ class PieceGenerator {
         if (!engine || !engine.board)
             return { white, black, advantage: white - black };
 
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
+        for (let r = 0; r < engine.rows; r++) {
+            for (let c = 0; c < engine.cols; c++) {
                 const cell = engine.board[r][c];
                 if (!cell) continue;
                 const val = this.getStaticPieceValue(
@@ -1480,36 +1907,13 @@ class PieceGenerator {
         return { white, black, advantage: white - black };
     }
 
+    // Shares the AI's valuation so both agree on what a piece is worth,
+    // measured on the engine's board (8x8 without one)
     static getStaticPieceValue(piece, row, col, color, engine = null) {
-        if (!piece) return 0;
-
-        if (piece.royal) return 10000;
-
-        let value = 0;
-
-        for (const move of piece.moves) {
-            if (move.distance === -1) value += 3;
-            else value += (move.distance || 0) * 0.5;
-
-            const steps = move.getSteps();
-            value += (steps.length || 0) * 0.3;
-
-            if (move.capture === 'allowed' || move.capture === 'required')
-                value += 0.5;
-        }
-
-        if (piece.promotionPieces && piece.promotionPieces.length > 0) {
-            const promotionTargetRank = color === 'white' ? 0 : 7;
-            const distanceToPromotion = Math.abs(row - promotionTargetRank);
-            value += 1;
-            if (distanceToPromotion < 3)
-                value += (3 - distanceToPromotion) * 0.5;
-        }
-
-        const centerDistance = Math.abs(3.5 - row) + Math.abs(3.5 - col);
-        value += (7 - centerDistance) * 0.1;
-
-        return value;
+        const size = engine
+            ? { rows: engine.rows, cols: engine.cols }
+            : undefined;
+        return Evaluation.pieceValue(piece, row, col, color, null, size);
     }
 }
 
@@ -1519,10 +1923,4 @@ try {
 } catch (e) { console.warn('Ignored error (Generator.js)', e); }
 
 // Named export for ES module consumers (browser `import { PieceGenerator } from './Generator.js'`)
-export { PieceGenerator };
-
-try {
-    if (typeof window !== 'undefined') {
-        window.PieceGenerator = PieceGenerator;
-    }
-} catch (e) { console.warn('Ignored error (Generator.js)', e); }
+export { PieceGenerator, SeededRandom };
@@ -1,12 +1,20 @@
 // ===== Chess AI Engine =====
 // Uses ChessEngine for game logic
 
+import { PieceSerializer } from './pieces.js';
+import { Evaluation } from './evaluation.js';
+import { EndgameSolver } from './endgame.js';
+
 class ChessAI {
     constructor(difficulty = 'medium') {
         this.difficulty = difficulty;
         this.searchDepth = this.getSearchDepth(difficulty);
         this.positionEvaluations = 0; // For debugging
         this.transpositionTable = new Map();
+        this.searchPath = new Set(); // repetition keys of positions on the current line
+        this.cancelRequested = false; // set by cancel() to abandon an in-progress search
+        this.valueTable = null; // tuned piece values, see loadValueTable()
+        this.values = null; // piece values in use for the current search
         this.timeLimits = this.getTimeLimits();
 
         // Time-scaling parameters (tunable)
@@ -16,6 +24,12 @@ class ChessAI {
         this.deficitThreshold = 3.0;
         // Controls how quickly the boost grows once past the threshold
         this.scaleFactor = 3.0;
+
+        // Search extensions (tunable)
+        // Maximum plies of capture-only search past the nominal depth
+        this.maxQuiescenceDepth = 4;
+        // Maximum plies added along one line for positions in check
+        this.maxCheckExtensions = 2;
     }
 
     getSearchDepth(difficulty) {
@@ -43,11 +57,15 @@ class ChessAI {
         };
     }
 
-    // Main AI move selection - takes a ChessEngine instance
-    async getBestMove(engine) {
+    // Main AI move selection - takes a ChessEngine instance.
+    // `onProgress({depth, move, score})` is called after each completed depth.
+    async getBestMove(engine, onProgress = null) {
+        this.values = this.valuesFor(engine);
         this.positionEvaluations = 0;
+        this.cancelRequested = false;
         const startTime = Date.now();
         this.transpositionTable.clear(); // clear cache between top-level searches
+        this.searchPath.clear();
 
         // Base time for this difficulty
         const baseTimeLimit = this.timeLimits[this.difficulty] || 500;
@@ -91,8 +109,10 @@ class ChessAI {
         // Iterative deepening from depth 1..searchDepth so earlier iterations
         // help populate the transposition table and improve move ordering.
         for (let depth = 1; depth <= this.searchDepth; depth++) {
-            // Order top-level moves for better pruning (don't shuffle here)
+            // Order top-level moves for better pruning (don't shuffle here),
+            // searching the previous iteration's best move first
             this.orderMoves(allMoves, engine);
+            if (bestMove) this.moveToFront(allMoves, bestMove);
 
             let alpha = -Infinity;
             let beta = Infinity;
@@ -105,24 +125,15 @@ class ChessAI {
                 // Yield to browser occasionally to avoid freezing
                 if (i > 0 && i % 4 === 0) await this.yield();
 
+                if (this.cancelRequested) return null;
+
                 // Time cutoff: if exceeded, return best from last completed depth
                 if (Date.now() - startTime > timeLimit) {
                     return bestMove || localBest;
                 }
 
-                const snapshot = engine.makeMoveUnsafe(
-                    move.fromRow,
-                    move.fromCol,
-                    move.toRow,
-                    move.toCol
-                );
-                const score = -this.minimax(
-                    engine,
-                    depth - 1,
-                    -beta,
-                    -alpha,
-                    false
-                );
+                const snapshot = engine.playMoveUnsafe(move);
+                const score = -this.minimax(engine, depth - 1, -beta, -alpha);
                 engine.undoMove(snapshot);
 
                 if (score > localBestScore) {
@@ -137,6 +148,9 @@ class ChessAI {
             if (localBest) {
                 bestMove = localBest;
                 bestScore = localBestScore;
+                if (onProgress) {
+                    onProgress({ depth, move: bestMove, score: bestScore });
+                }
             }
         }
 
@@ -146,68 +160,237 @@ class ChessAI {
         return bestMove;
     }
 
+    // Use a tuned value table ({seed, values: {pieceName: value}}, as
+    // written by tools/tune-values.js). It only applies to games with the
+    // same seed; pass null to go back to the reach-based estimates.
+    loadValueTable(table) {
+        if (table && table.values && typeof table.values === 'object') {
+            this.valueTable = table;
+            return true;
+        }
+        if (table !== null) {
+            console.warn('Ignoring malformed piece value table', table);
+            return false;
+        }
+        this.valueTable = null;
+        return true;
+    }
+
+    // Tuned values for `engine`'s piece set, or null if none are loaded.
+    // Tables are fitted to one symmetric set, so asymmetric games skip them.
+    valuesFor(engine) {
+        const table = this.valueTable;
+        if (!table || table.seed !== engine.seed || engine.blackPieces)
+            return null;
+        return table.values;
+    }
+
+    // Abandon the current search; getBestMove resolves to null
+    cancel() {
+        this.cancelRequested = true;
+    }
+
     // Helper to yield control back to browser
     yield() {
         return new Promise((resolve) => setTimeout(resolve, 0));
     }
 
-    // Negamax algorithm with alpha-beta pruning (returns score for side to move)
-    minimax(engine, depth, alpha, beta) {
+    // Negamax algorithm with alpha-beta pruning (returns score for side to move).
+    // `extensions` counts check extensions already applied on this line.
+    minimax(engine, depth, alpha, beta, extensions = 0) {
         this.positionEvaluations++;
 
-        // Simple transposition-table lookup keyed by position + depth
-        const key = this.engineKey(engine) + '|' + depth;
+        // Games the rule set already decided (royal capture, three-check, ...)
+        if (engine.ruleResult) return this.resultScore(engine);
+
+        // Positions already seen in the game or on this line, and positions
+        // past the 50-move limit, are draws. Checked before the cache since
+        // the cached score doesn't know how the position was reached.
+        const repetitionKey = engine.getRepetitionKey();
+        if (
+            engine.halfmoveClock >= 100 ||
+            engine.positionCounts.has(repetitionKey) ||
+            this.searchPath.has(repetitionKey)
+        ) {
+            return 0;
+        }
+
+        // Solved endings are exact, no need to search them
+        const solved = this.tablebaseScore(engine);
+        if (solved !== null) return solved;
+
+        // Transposition table keyed by the engine's Zobrist key. Entries
+        // hold {depth, score, flag, bestMove}; a score is only reused when it
+        // was searched at least as deep and its bound type allows it.
+        const key = engine.getZobristKey();
         const cached = this.transpositionTable.get(key);
-        if (cached !== undefined) return cached;
+        const alphaOrig = alpha;
+        if (cached && cached.depth >= depth) {
+            if (cached.flag === 'exact') return cached.score;
+            if (cached.flag === 'lower') alpha = Math.max(alpha, cached.score);
+            else if (cached.flag === 'upper')
+                beta = Math.min(beta, cached.score);
+            if (alpha >= beta) return cached.score;
+        }
 
-        // Reached depth limit
-        if (depth === 0) {
-            const evalScore = this.evaluatePosition(engine);
-            this.transpositionTable.set(key, evalScore);
-            return evalScore;
+        // Check extension: don't let the horizon fall on a position in check
+        const inCheck = engine.isInCheck(engine.currentTurn);
+        if (inCheck && extensions < this.maxCheckExtensions) {
+            depth++;
+            extensions++;
+        }
+
+        // Reached depth limit - resolve pending captures before evaluating
+        if (depth <= 0) {
+            const score = this.quiescence(engine, alpha, beta, 0);
+            this.storeTransposition(key, 0, score, alphaOrig, beta, null);
+            return score;
         }
 
         const moves = engine.getAllMoves(engine.currentTurn);
 
-        // No legal moves - checkmate or stalemate
-        if (moves.length === 0) {
-            if (engine.isInCheck(engine.currentTurn)) {
-                // Current side to move is checkmated => very negative
-                return -100000;
-            }
-            // Stalemate - draw
-            return 0;
-        }
+        // No legal moves - checkmate or stalemate (or the rule set's result)
+        if (moves.length === 0) return this.noMovesScore(engine, inCheck);
 
-        // Order moves for better pruning - captures and center moves first
+        // Order moves for better pruning - cached best move, then captures
+        // and center moves
         this.orderMoves(moves, engine);
+        if (cached && cached.bestMove) this.moveToFront(moves, cached.bestMove);
 
         let bestScore = -Infinity;
+        let bestMove = null;
+        this.searchPath.add(repetitionKey);
         for (const move of moves) {
-            const snapshot = engine.makeMoveUnsafe(
-                move.fromRow,
-                move.fromCol,
-                move.toRow,
-                move.toCol
+            const snapshot = engine.playMoveUnsafe(move);
+            const score = -this.minimax(
+                engine,
+                depth - 1,
+                -beta,
+                -alpha,
+                extensions
             );
-            const score = -this.minimax(engine, depth - 1, -beta, -alpha);
             engine.undoMove(snapshot);
 
-            if (score > bestScore) bestScore = score;
+            if (score > bestScore) {
+                bestScore = score;
+                bestMove = move;
+            }
             alpha = Math.max(alpha, score);
             if (alpha >= beta) break; // cutoff
         }
+        this.searchPath.delete(repetitionKey);
+
+        this.storeTransposition(
+            key,
+            depth,
+            bestScore,
+            alphaOrig,
+            beta,
+            bestMove
+        );
+        return bestScore;
+    }
+
+    // Score for the side to move from the endgame tables (see endgame.js),
+    // or null when the position isn't in one. Shorter wins score higher.
+    tablebaseScore(engine) {
+        const probe = EndgameSolver.probe(engine);
+        if (!probe) return null;
+        if (probe.result === 'draw') return 0;
+        return probe.result === 'win'
+            ? 100000 - probe.dtm
+            : -100000 + probe.dtm;
+    }
+
+    // Score for the side to move of a game the rule set ended
+    resultScore(engine) {
+        const { winner } = engine.ruleResult;
+        if (winner === 'draw') return 0;
+        return winner === engine.currentTurn ? 100000 : -100000;
+    }
+
+    // Score for the side to move when it has no legal moves: checkmated
+    // => very negative, stalemate => draw, unless the rule set decides
+    noMovesScore(engine, inCheck) {
+        const result = engine.rules.noMovesResult(engine);
+        if (result) {
+            if (result.winner === 'draw') return 0;
+            return result.winner === engine.currentTurn ? 100000 : -100000;
+        }
+        return inCheck ? -100000 : 0;
+    }
 
-        this.transpositionTable.set(key, bestScore);
+    // Store a search result with its bound type relative to the window it
+    // was searched with
+    storeTransposition(key, depth, score, alphaOrig, beta, bestMove) {
+        let flag = 'exact';
+        if (score <= alphaOrig) flag = 'upper';
+        else if (score >= beta) flag = 'lower';
+        this.transpositionTable.set(key, { depth, score, flag, bestMove });
+    }
+
+    // Capture-only search with stand-pat so the horizon never lands in the
+    // middle of an exchange. Uses the engine's legal move generator, so any
+    // generated mover (jumpers, capture: 'required', en passant) is handled.
+    // In check there is no stand-pat: all evasions are searched.
+    quiescence(engine, alpha, beta, qDepth) {
+        this.positionEvaluations++;
+        if (engine.ruleResult) return this.resultScore(engine);
+        const solved = this.tablebaseScore(engine);
+        if (solved !== null) return solved;
+
+        const inCheck = engine.isInCheck(engine.currentTurn);
+        const standPat = inCheck ? -Infinity : this.evaluatePosition(engine);
+        if (standPat >= beta) return standPat;
+        if (standPat > alpha) alpha = standPat;
+
+        if (qDepth >= this.maxQuiescenceDepth) {
+            return inCheck ? this.evaluatePosition(engine) : standPat;
+        }
+
+        const allMoves = engine.getAllMoves(engine.currentTurn);
+        if (allMoves.length === 0) return this.noMovesScore(engine, inCheck);
+        const moves = inCheck ? allMoves : allMoves.filter((m) => m.isCapture);
+        this.orderMoves(moves, engine);
+
+        let bestScore = standPat;
+        for (const move of moves) {
+            const snapshot = engine.playMoveUnsafe(move);
+            const score = -this.quiescence(engine, -beta, -alpha, qDepth + 1);
+            engine.undoMove(snapshot);
+
+            if (score > bestScore) bestScore = score;
+            if (score >= beta) break; // cutoff
+            if (score > alpha) alpha = score;
+        }
         return bestScore;
     }
 
+    // Move `move` (matched by coordinates and dropped piece) to the front
+    // of `moves`
+    moveToFront(moves, move) {
+        const index = moves.findIndex(
+            (m) =>
+                m.drop === move.drop &&
+                m.fromRow === move.fromRow &&
+                m.fromCol === move.fromCol &&
+                m.toRow === move.toRow &&
+                m.toCol === move.toCol
+        );
+        if (index > 0) moves.unshift(moves.splice(index, 1)[0]);
+    }
+
     // Order moves to improve alpha-beta pruning effectiveness
     orderMoves(moves, engine) {
-        // MVV-LVA + promotion + center heuristic
+        // MVV-LVA + promotion + center heuristic, drops near the enemy royal
+        const centerRow = (engine.rows - 1) / 2;
+        const centerCol = (engine.cols - 1) / 2;
+        const enemyRoyal = engine.findKing(
+            engine.currentTurn === 'white' ? 'black' : 'white'
+        );
         moves.sort((a, b) => {
-            let scoreA = 0;
-            let scoreB = 0;
+            let scoreA = this.dropOrderScore(a, enemyRoyal);
+            let scoreB = this.dropOrderScore(b, enemyRoyal);
 
             const fromA =
                 engine.board[a.fromRow] && engine.board[a.fromRow][a.fromCol];
@@ -222,12 +405,14 @@ class ChessAI {
             // Capture priority using victim value minus attacker value (MVV-LVA)
             if (targetA && fromA) {
                 const victimVal = this.getPieceValue(
+                    engine,
                     targetA.piece,
                     a.toRow,
                     a.toCol,
                     targetA.color
                 );
                 const attackerVal = this.getPieceValue(
+                    engine,
                     fromA.piece,
                     a.fromRow,
                     a.fromCol,
@@ -237,12 +422,14 @@ class ChessAI {
             }
             if (targetB && fromB) {
                 const victimVal = this.getPieceValue(
+                    engine,
                     targetB.piece,
                     b.toRow,
                     b.toCol,
                     targetB.color
                 );
                 const attackerVal = this.getPieceValue(
+                    engine,
                     fromB.piece,
                     b.fromRow,
                     b.fromCol,
@@ -253,150 +440,253 @@ class ChessAI {
 
             // Promotion priority (if attacker is promotable pawn moving to promotion rank)
             if (fromA && fromA.piece && fromA.piece.promotionRank !== -1) {
-                const promoRank = fromA.color === 'white' ? 0 : 7;
+                const promoRank = engine.promotionRow(fromA.color);
                 if (a.toRow === promoRank) scoreA += 80;
             }
             if (fromB && fromB.piece && fromB.piece.promotionRank !== -1) {
-                const promoRank = fromB.color === 'white' ? 0 : 7;
+                const promoRank = engine.promotionRow(fromB.color);
                 if (b.toRow === promoRank) scoreB += 80;
             }
 
             // Center control heuristic
             const centerDistA =
-                Math.abs(3.5 - a.toRow) + Math.abs(3.5 - a.toCol);
+                Math.abs(centerRow - a.toRow) + Math.abs(centerCol - a.toCol);
             const centerDistB =
-                Math.abs(3.5 - b.toRow) + Math.abs(3.5 - b.toCol);
-            scoreA += (7 - centerDistA) * 0.5;
-            scoreB += (7 - centerDistB) * 0.5;
+                Math.abs(centerRow - b.toRow) + Math.abs(centerCol - b.toCol);
+            scoreA += (centerRow + centerCol - centerDistA) * 0.5;
+            scoreB += (centerRow + centerCol - centerDistB) * 0.5;
 
             return scoreB - scoreA;
         });
     }
 
+    // Drops (drop mode) next to the enemy royal attack or block it, so try
+    // them before quiet drops elsewhere; board moves score 0
+    dropOrderScore(move, enemyRoyal) {
+        if (!Number.isInteger(move.drop) || !enemyRoyal) return 0;
+        const distance = Math.max(
+            Math.abs(move.toRow - enemyRoyal.row),
+            Math.abs(move.toCol - enemyRoyal.col)
+        );
+        return distance <= 2 ? 20 - distance * 5 : 0;
+    }
+
     // Evaluate the current board position - takes ChessEngine instance
     evaluatePosition(engine) {
-        const currentPlayer = engine.currentTurn;
-        let score = 0;
-        let ourMoveCount = 0;
-        let theirMoveCount = 0;
-
-        // Material count and positional evaluation
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const square = engine.board[row][col];
-                if (square) {
-                    const pieceValue = this.getPieceValue(
-                        square.piece,
-                        row,
-                        col,
-                        square.color
-                    );
-                    if (square.color === currentPlayer) {
-                        score += pieceValue;
-                        // Approximate move count instead of calling getAllMoves
-                        ourMoveCount += this.estimateMobility(square.piece);
-                    } else {
-                        score -= pieceValue;
-                        theirMoveCount += this.estimateMobility(square.piece);
-                    }
-                }
-            }
-        }
-
-        // Mobility bonus (estimated instead of exact)
-        score += (ourMoveCount - theirMoveCount) * 0.05;
+        return Evaluation.evaluate(engine, this.values);
+    }
 
-        return score;
+    // Get piece value based on its reach, promotion potential and square
+    getPieceValue(engine, piece, row, col, color) {
+        return Evaluation.pieceValue(piece, row, col, color, this.values, {
+            rows: engine.rows,
+            cols: engine.cols,
+        });
     }
 
-    // Estimate piece mobility without generating all moves
-    estimateMobility(piece) {
-        let mobility = 0;
-        for (const move of piece.moves) {
-            if (move.distance === -1) {
-                mobility += 7; // Long range pieces
-            } else {
-                mobility += move.distance;
-            }
+    // Utility: Shuffle array in place
+    shuffleArray(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
         }
-        return mobility * 0.1;
     }
+}
 
-    // Get piece value based on its characteristics
-    getPieceValue(piece, row, col, color) {
-        let value = 0;
+// Runs ChessAI searches in a dedicated module worker (aiWorker.js) so deep
+// searches don't freeze the page. Same getBestMove(engine, onProgress)
+// interface as ChessAI; falls back to an in-thread ChessAI when module
+// workers are unavailable or fail to load.
+class ChessAIWorker {
+    constructor(difficulty = 'medium') {
+        this.difficulty = difficulty;
+        this.worker = null;
+        this.fallback = null; // in-thread ChessAI once workers are ruled out
+        this.pending = null; // {id, resolve, onProgress, engine, lastMove}
+        this.nextId = 1;
+        this.valueTable = null; // forwarded with every search
+        this.tablebase = null; // {seed, tables} from buildTablebase()
+        this.tablebaseJob = null; // {worker, resolve} while solving endings
+    }
 
-        // Royal piece is invaluable
-        if (piece.royal) {
-            return 10000;
+    // Same contract as ChessAI.loadValueTable
+    loadValueTable(table) {
+        if (table && (!table.values || typeof table.values !== 'object')) {
+            console.warn('Ignoring malformed piece value table', table);
+            return false;
         }
+        this.valueTable = table || null;
+        if (this.fallback) this.fallback.loadValueTable(this.valueTable);
+        return true;
+    }
 
-        // Base value on move capabilities
-        for (const move of piece.moves) {
-            // Long range moves are valuable
-            if (move.distance === -1) {
-                value += 3;
-            } else {
-                value += move.distance * 0.5;
+    _ensureWorker() {
+        if (this.worker || this.fallback) return this.worker;
+        try {
+            if (typeof Worker === 'undefined') {
+                throw new Error('Web Workers unavailable');
+            }
+            const url = new URL('./aiWorker.js', import.meta.url);
+            this.worker = new Worker(url, { type: 'module' });
+            this.worker.onmessage = (e) => this._handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.warn('AI worker failed; searching in-thread', e);
+                this._useFallback();
+            };
+            if (this.tablebase) {
+                this.worker.postMessage({ type: 'tables', ...this.tablebase });
             }
+        } catch (e) {
+            this.fallback = new ChessAI(this.difficulty);
+            this.fallback.loadValueTable(this.valueTable);
+        }
+        return this.worker;
+    }
 
-            // Multiple directions increase value
-            const steps = move.getSteps();
-            value += steps.length * 0.3;
+    // Switch to in-thread search, re-running any search the worker dropped
+    _useFallback() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.fallback = new ChessAI(this.difficulty);
+        this.fallback.loadValueTable(this.valueTable);
+        const pending = this.pending;
+        this.pending = null;
+        if (pending) {
+            this.fallback
+                .getBestMove(pending.engine, pending.onProgress)
+                .then(pending.resolve);
+        }
+    }
 
-            // Capture ability
-            if (move.capture === 'allowed' || move.capture === 'required') {
-                value += 0.5;
-            }
+    _handleMessage(data) {
+        const pending = this.pending;
+        // Ignore messages from searches that were cancelled or replaced
+        if (!pending || !data || data.id !== pending.id) return;
+
+        if (data.type === 'progress') {
+            pending.lastMove = data.move;
+            if (pending.onProgress) pending.onProgress(data);
+        } else if (data.type === 'result') {
+            this.pending = null;
+            pending.resolve(data.move);
+        } else if (data.type === 'error') {
+            console.warn('AI worker search failed', data.message);
+            this.pending = null;
+            pending.resolve(pending.lastMove);
         }
+    }
 
-        // Promotion potential (account for piece color so pawns are valued correctly)
-        if (piece.promotionPieces && piece.promotionPieces.length > 0) {
-            // For choice promotions (pawns), promotion rank depends on the pawn's color:
-            // white promotes on rank 0, black on rank 7. Use color to compute distance.
-            const promotionTargetRank = color === 'white' ? 0 : 7;
-            const distanceToPromotion = Math.abs(row - promotionTargetRank);
-            value += 1; // Base pawn value
-            if (distanceToPromotion < 3) {
-                value += (3 - distanceToPromotion) * 0.5; // Closer to promotion = more valuable
-            }
+    // Solve the small endings of `engine`'s game (EndgameSolver.solveEndings)
+    // in a second worker, so searches aren't held up for the seconds it
+    // takes. The tables then go to this thread's EndgameSolver cache and to
+    // the search worker. Resolves to whether tables are available; without
+    // module workers nothing is solved.
+    buildTablebase(engine) {
+        this.cancelTablebase();
+        const seed = engine.seed;
+        if (this.tablebase && this.tablebase.seed === seed) {
+            return Promise.resolve(true);
+        }
+        this.tablebase = null;
+        if (typeof Worker === 'undefined') return Promise.resolve(false);
+        if (!engine.rules.positional || engine.drops) {
+            return Promise.resolve(false);
         }
 
-        // Positional bonus - favor center control
-        const centerDistance = Math.abs(3.5 - row) + Math.abs(3.5 - col);
-        value += (7 - centerDistance) * 0.1;
+        let worker;
+        try {
+            const url = new URL('./aiWorker.js', import.meta.url);
+            worker = new Worker(url, { type: 'module' });
+        } catch (e) {
+            console.warn('Tablebase worker unavailable', e);
+            return Promise.resolve(false);
+        }
+        return new Promise((resolve) => {
+            const job = { worker, resolve };
+            this.tablebaseJob = job;
+            const finish = (tables) => {
+                if (this.tablebaseJob !== job) return;
+                this.tablebaseJob = null;
+                worker.terminate();
+                if (!tables || !tables.length) return resolve(false);
+                EndgameSolver.importTables(seed, tables);
+                this.tablebase = { seed, tables };
+                if (this.worker) {
+                    this.worker.postMessage({ type: 'tables', seed, tables });
+                }
+                resolve(true);
+            };
+            worker.onmessage = (e) => {
+                if (e.data && e.data.type === 'tables') finish(e.data.tables);
+            };
+            worker.onerror = (e) => {
+                console.warn('Tablebase worker failed', e);
+                finish(null);
+            };
+            worker.postMessage({
+                type: 'tablebase',
+                ...this._positionMessage(engine),
+            });
+        });
+    }
 
-        return value;
+    // Stop solving endings (the game is over or was replaced)
+    cancelTablebase() {
+        const job = this.tablebaseJob;
+        if (!job) return;
+        this.tablebaseJob = null;
+        job.worker.terminate();
+        job.resolve(false);
     }
 
-    // Utility: Shuffle array in place
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+    // Game setup and position as posted to aiWorker.js
+    _positionMessage(engine) {
+        return {
+            seed: engine.seed,
+            pieces: PieceSerializer.serialize(engine.pieces),
+            blackPieces: engine.blackPieces
+                ? PieceSerializer.serialize(engine.blackPieces)
+                : null,
+            position: engine.toPositionString(),
+            rules: engine.rules.name,
+            ruleState: engine.ruleState,
+        };
+    }
+
+    // Start a search; resolves to a move {fromRow, fromCol, toRow, toCol},
+    // or null if there are no moves or the search was cancelled
+    getBestMove(engine, onProgress = null) {
+        this.cancel();
+        if (!this._ensureWorker()) {
+            return this.fallback.getBestMove(engine, onProgress);
         }
+
+        const id = this.nextId++;
+        return new Promise((resolve) => {
+            this.pending = { id, resolve, onProgress, engine, lastMove: null };
+            this.worker.postMessage({
+                type: 'search',
+                id,
+                difficulty: this.difficulty,
+                ...this._positionMessage(engine),
+                positionCounts: [...engine.positionCounts],
+                valueTable: this.valueTable,
+            });
+        });
     }
 
-    // Lightweight engine position key for transposition table
-    engineKey(engine) {
-        let s = engine.currentTurn[0];
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const cell = engine.board[r][c];
-                if (!cell) {
-                    s += '.';
-                } else {
-                    // piece name, color initial and moved flag
-                    s += `|${cell.piece.name}:${cell.color[0]}:${
-                        cell.hasMoved ? '1' : '0'
-                    }`;
-                }
-            }
+    // Cancel the running search. A busy worker is terminated (it can't be
+    // interrupted mid-search) and recreated on the next getBestMove.
+    cancel() {
+        if (this.fallback) this.fallback.cancel();
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
         }
-        // include lastMove to disambiguate en-passant states
-        if (engine.lastMove)
-            s += `:lm:${engine.lastMove.fromRow},${engine.lastMove.fromCol},${engine.lastMove.toRow},${engine.lastMove.toCol}`;
-        return s;
+        pending.resolve(null);
     }
 }
 
@@ -404,9 +694,10 @@ class ChessAI {
 try {
     if (typeof window !== 'undefined') {
         window.ChessAI = ChessAI;
+        window.ChessAIWorker = ChessAIWorker;
     }
 } catch (e) {
     /* ignore in non-browser env */
 }
 
-export { ChessAI };
+export { ChessAI, ChessAIWorker };
@@ -0,0 +1,80 @@
+// ===== AI Worker =====
+// Module worker that runs ChessAI searches off the main thread. It receives
+// the serialized piece set, a position string (see
+// ChessEngine.toPositionString) and the rule set name with its state,
+// streams the best move after each completed depth and then posts the final
+// move. Driven by ChessAIWorker in ai.js.
+//
+// A separate instance solves a game's endgame tables in the background
+// ('tablebase' message, answered with the exported tables); the searching
+// instance is handed them in a 'tables' message.
+
+import { PieceSerializer } from './pieces.js';
+import { ChessEngine } from './engine.js';
+import { ChessAI } from './ai.js';
+import { EndgameSolver } from './endgame.js';
+
+const ais = {}; // difficulty -> ChessAI (reused across searches)
+
+// Engine for the game setup and position in a message
+function engineFrom(data) {
+    const pieces = PieceSerializer.deserialize(data.pieces);
+    const blackPieces = data.blackPieces
+        ? PieceSerializer.deserialize(data.blackPieces)
+        : null;
+    const engine = ChessEngine.fromPositionString(
+        pieces,
+        data.position,
+        data.seed,
+        blackPieces,
+        data.rules,
+        data.ruleState
+    );
+    if (!engine) throw new Error('Invalid position');
+    return engine;
+}
+
+self.onmessage = async (e) => {
+    const data = e.data;
+    if (!data) return;
+    if (data.type === 'tables') {
+        EndgameSolver.importTables(data.seed, data.tables);
+        return;
+    }
+    if (data.type === 'tablebase') {
+        let tables = [];
+        try {
+            const engine = engineFrom(data);
+            // Four-piece endings only fit on small boards
+            EndgameSolver.solveEndings(engine, 4);
+            tables = EndgameSolver.exportTables(engine.seed);
+        } catch (err) {
+            console.warn('Solving endgame tables failed', err);
+        }
+        self.postMessage({ type: 'tables', seed: data.seed, tables });
+        return;
+    }
+    if (data.type !== 'search') return;
+    const { id } = data;
+
+    try {
+        const engine = engineFrom(data);
+        // Earlier positions of the game so the search can score repetitions
+        engine.positionCounts = new Map(data.positionCounts || []);
+
+        const ai =
+            ais[data.difficulty] ||
+            (ais[data.difficulty] = new ChessAI(data.difficulty));
+        ai.loadValueTable(data.valueTable || null);
+        const move = await ai.getBestMove(engine, (progress) =>
+            self.postMessage({ type: 'progress', id, ...progress })
+        );
+        self.postMessage({ type: 'result', id, move });
+    } catch (err) {
+        self.postMessage({
+            type: 'error',
+            id,
+            message: String((err && err.message) || err),
+        });
+    }
+};
@@ -0,0 +1,271 @@
+// ===== Generator Analyzer =====
+// Scores a generated piece set for fairness and playability. Static metrics
+// are cheap and synchronous (PieceGenerator uses them to re-roll seeds);
+// self-play metrics run fast ChessAI games and are async.
+//
+// Metrics:
+//   restrictedFraction  share of non-royal, non-pawn types that only move
+//                       forward (isDirectionallyRestricted) until upgraded
+//   kingExposure        enemy attacks on each royal's square and neighbours
+//                       in the start position with the pawns removed,
+//                       averaged over both sides
+//   firstMoveAdvantage  white's self-play score minus 0.5
+//   averageLength       mean game length in plies (unfinished games count
+//                       at the ply cap)
+//   earlyMateRate       share of games ending in checkmate within
+//                       `earlyMatePlies`
+//
+// PieceGenerator's bounds can also cover the self-play metrics, measured by
+// quickSelfPlayMetrics: a few short greedy games that replay the same way
+// for the same seed.
+
+import { PieceGenerator, SeededRandom } from './Generator.js';
+import { ChessEngine } from './engine.js';
+import { ChessAI } from './ai.js';
+import { Evaluation } from './evaluation.js';
+
+const DEFAULT_SELF_PLAY = {
+    games: 20,
+    plies: 120, // ply cap per game
+    moveMs: 40, // AI thinking time per move
+    randomPlies: 2, // random opening moves so games differ
+    earlyMatePlies: 20,
+};
+
+// Fixed budget for quickSelfPlayMetrics (a few seconds per set)
+const QUICK_SELF_PLAY = {
+    games: 4,
+    plies: 60,
+    randomPlies: 2,
+    earlyMatePlies: 20,
+};
+
+class GeneratorAnalyzer {
+    // Metrics PieceGenerator can check while generating
+    static staticMetricNames = ['restrictedFraction', 'kingExposure'];
+    // Metrics that take self-play games
+    static selfPlayMetricNames = [
+        'firstMoveAdvantage',
+        'averageLength',
+        'earlyMateRate',
+    ];
+
+    static isPawn(piece) {
+        return piece.specials.some((s) => s.type === 'enPassant');
+    }
+
+    // Synchronous metrics for a piece set and placement (`blackPieces` for
+    // asymmetric armies, counted together with white's)
+    static staticMetrics(pieces, placement, seed = null, blackPieces = null) {
+        const types = pieces
+            .concat(blackPieces || [])
+            .filter((p) => !p.royal && !this.isPawn(p));
+        const restricted = types.filter((p) =>
+            PieceGenerator.isDirectionallyRestricted(p.moves)
+        );
+
+        const engine = new ChessEngine(pieces, seed, blackPieces);
+        engine.initializeBoard(placement);
+        for (let row = 0; row < engine.rows; row++) {
+            for (let col = 0; col < engine.cols; col++) {
+                const cell = engine.board[row][col];
+                if (cell && this.isPawn(cell.piece)) {
+                    engine.board[row][col] = null;
+                }
+            }
+        }
+
+        let exposure = 0;
+        for (const color of ['white', 'black']) {
+            const king = engine.findKing(color);
+            if (!king) continue;
+            for (let row = 0; row < engine.rows; row++) {
+                for (let col = 0; col < engine.cols; col++) {
+                    const cell = engine.board[row][col];
+                    if (!cell || cell.color === color) continue;
+                    for (const sq of engine.getAttackedSquares(row, col)) {
+                        if (
+                            Math.abs(sq.row - king.row) <= 1 &&
+                            Math.abs(sq.col - king.col) <= 1
+                        ) {
+                            exposure++;
+                        }
+                    }
+                }
+            }
+        }
+
+        return {
+            restrictedFraction: types.length
+                ? restricted.length / types.length
+                : 0,
+            kingExposure: exposure / 2,
+        };
+    }
+
+    // Play fast AI-vs-AI games from the start position. `options.blackPieces`
+    // gives black its own army.
+    static async selfPlayMetrics(pieces, placement, seed, options = {}) {
+        const settings = { ...DEFAULT_SELF_PLAY, ...options };
+        const ai = new ChessAI('easy');
+        ai.timeLimits.easy = settings.moveMs;
+        ai.maxThinkMs = settings.moveMs; // no thinking-time boost when behind
+
+        const results = [];
+        for (let game = 0; game < settings.games; game++) {
+            const engine = new ChessEngine(
+                pieces,
+                seed,
+                settings.blackPieces || null
+            );
+            engine.initializeBoard(placement);
+
+            let ply = 0;
+            while (ply < settings.plies && !engine.isGameOver()) {
+                const moves = engine.getAllMoves(engine.currentTurn);
+                const move =
+                    ply < settings.randomPlies
+                        ? moves[Math.floor(Math.random() * moves.length)]
+                        : await ai.getBestMove(engine);
+                if (!move) break;
+                engine.makeMove(
+                    move.fromRow,
+                    move.fromCol,
+                    move.toRow,
+                    move.toCol
+                );
+                if (engine.pendingPromotion) engine.completePromotion(0);
+                ply++;
+            }
+
+            results.push(this._gameResult(engine, ply));
+        }
+
+        return this._summarize(results, settings);
+    }
+
+    // Synchronous self-play metrics on a fixed budget (QUICK_SELF_PLAY,
+    // overridable through `options`), used for generation bounds. Each side
+    // plays the move Evaluation.evaluate likes best one ply ahead, after
+    // opening moves drawn from `seed`, so a seed always scores the same.
+    // `options.size` ({rows, cols}) plays on another board.
+    static quickSelfPlayMetrics(pieces, placement, seed, options = {}) {
+        const settings = { ...QUICK_SELF_PLAY, ...options };
+        const results = [];
+        for (let game = 0; game < settings.games; game++) {
+            const rng = new SeededRandom((seed || 0) * 31 + game);
+            const engine = new ChessEngine(
+                pieces,
+                seed,
+                settings.blackPieces || null,
+                settings.size || null
+            );
+            engine.initializeBoard(placement);
+
+            let ply = 0;
+            while (ply < settings.plies && !engine.isGameOver()) {
+                const moves = engine.getAllMoves(engine.currentTurn);
+                if (moves.length === 0) break;
+                const move =
+                    ply < settings.randomPlies
+                        ? moves[Math.floor(rng.next() * moves.length)]
+                        : this._greedyMove(engine, moves);
+                engine.playMove(move);
+                if (engine.pendingPromotion) engine.completePromotion(0);
+                ply++;
+            }
+            results.push(this._gameResult(engine, ply));
+        }
+        return this._summarize(results, settings);
+    }
+
+    // Best of `moves` for the side to move by a one-ply look: wins first,
+    // losses last, otherwise the static evaluation (first move on ties)
+    static _greedyMove(engine, moves) {
+        const mover = engine.currentTurn;
+        let best = null;
+        let bestScore = -Infinity;
+        for (const move of moves) {
+            const snapshot = engine.playMoveUnsafe(move);
+            const winner = engine.getWinner();
+            let score = 0;
+            if (winner === mover) score = Infinity;
+            else if (winner === null) score = -Evaluation.evaluate(engine);
+            else if (winner !== 'draw') score = -Infinity;
+            engine.undoMove(snapshot);
+            if (score > bestScore || !best) {
+                best = move;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    // {winner, plies, mate} of a finished (or capped) self-play game
+    static _gameResult(engine, plies) {
+        return {
+            winner: engine.isGameOver() ? engine.getWinner() : null,
+            plies,
+            mate: engine.isCheckmate(),
+        };
+    }
+
+    static _summarize(results, settings) {
+        let whiteScore = 0;
+        let totalPlies = 0;
+        let earlyMates = 0;
+        for (const { winner, plies, mate } of results) {
+            if (winner === 'white') whiteScore += 1;
+            else if (winner !== 'black') whiteScore += 0.5;
+            if (mate && plies <= settings.earlyMatePlies) earlyMates++;
+            totalPlies += plies;
+        }
+        const games = Math.max(1, results.length);
+        return {
+            games: results.length,
+            firstMoveAdvantage: whiteScore / games - 0.5,
+            averageLength: totalPlies / games,
+            earlyMateRate: earlyMates / games,
+        };
+    }
+
+    // Full report: static plus self-play metrics
+    static async analyze(pieces, placement, seed, options = {}) {
+        return {
+            seed,
+            ...this.staticMetrics(
+                pieces,
+                placement,
+                seed,
+                options.blackPieces || null
+            ),
+            ...(await this.selfPlayMetrics(pieces, placement, seed, options)),
+        };
+    }
+
+    // Metrics outside `bounds` ({metric: {min, max}}), as
+    // [{metric, value, min, max}]; empty when everything is in range
+    static violations(metrics, bounds = {}) {
+        const out = [];
+        for (const [metric, range] of Object.entries(bounds)) {
+            const value = metrics[metric];
+            if (typeof value !== 'number' || !range) continue;
+            const { min = -Infinity, max = Infinity } = range;
+            if (value < min || value > max) {
+                out.push({ metric, value, min, max });
+            }
+        }
+        return out;
+    }
+}
+
+// Attach to window for backwards compatibility and export as ES module
+try {
+    if (typeof window !== 'undefined') {
+        window.GeneratorAnalyzer = GeneratorAnalyzer;
+    }
+} catch (e) {
+    /* ignore in non-browser env */
+}
+
+export { GeneratorAnalyzer };
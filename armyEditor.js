@@ -0,0 +1,443 @@
+// ===== Army Editor =====
+// Hand-authored piece sets: edit each type's moves, royalty, promotion and
+// specials, preview it with createMovementPatternIcon and start the set in
+// any mode. The last started or saved set is kept in localStorage.
+
+import { Move, Special, PieceSerializer, BetzaNotation } from './pieces.js';
+import { PieceGenerator } from './Generator.js';
+
+const STORAGE_KEY = 'randochess.customArmy';
+const SYMMETRIES = [null, 'Horizontal', 'Vertical', '4way', '8way'];
+const JUMPS = ['prohibited', 'required'];
+const CAPTURES = ['allowed', 'prohibited', 'required'];
+const PROMOTION_TYPES = [null, 'choice', 'move-upgrade'];
+// Tab hints for the slots initializeBoard relies on
+const SLOT_TITLES = [
+    'Royal',
+    'Piece 1',
+    'Piece 2',
+    'Piece 3',
+    'Piece 4',
+    'Pawn',
+];
+
+class ArmyEditor {
+    constructor(rootElement) {
+        this.root = rootElement;
+        this.pieces = null;
+        this.currentPieces = null;
+        this.selected = 0;
+        this.onStart = null;
+        this.betzaError = null;
+    }
+
+    // Saved army, or null if there is none or it no longer validates
+    static load() {
+        try {
+            const text = localStorage.getItem(STORAGE_KEY);
+            if (!text) return null;
+            const pieces = PieceSerializer.deserialize(JSON.parse(text));
+            if (!pieces || PieceSerializer.validateArmy(pieces).length > 0)
+                return null;
+            return pieces;
+        } catch (e) {
+            console.warn('Failed to load custom army (armyEditor.js)', e);
+            return null;
+        }
+    }
+
+    static save(pieces) {
+        try {
+            localStorage.setItem(
+                STORAGE_KEY,
+                JSON.stringify(PieceSerializer.serialize(pieces))
+            );
+        } catch (e) {
+            console.warn('Failed to save custom army (armyEditor.js)', e);
+        }
+    }
+
+    // Deep copy through the serializer so edits never touch a running game
+    static copy(pieces) {
+        return PieceSerializer.deserialize(PieceSerializer.serialize(pieces));
+    }
+
+    // `onStart(mode, pieces)` is called with mode 'ai' | 'otb' | 'online'.
+    // `currentPieces` (the set being played) can be copied into the editor.
+    open(pieces, onStart, currentPieces = null) {
+        if (!this.root) return;
+        this.pieces = ArmyEditor.copy(pieces);
+        this.currentPieces = currentPieces;
+        this.onStart = onStart;
+        this.selected = 0;
+        this.betzaError = null;
+        this.root.classList.remove('hidden');
+        this.render();
+    }
+
+    close() {
+        if (!this.root) return;
+        this.root.classList.add('hidden');
+        this.root.innerHTML = '';
+    }
+
+    render() {
+        this.root.innerHTML = '';
+        const box = document.createElement('div');
+        box.className = 'army-editor-box';
+
+        const closeBtn = this.button('✖', 'Close editor', () => this.close());
+        closeBtn.className = 'result-close';
+        box.appendChild(closeBtn);
+
+        const tabs = document.createElement('div');
+        tabs.className = 'army-tabs';
+        this.pieces.forEach((piece, index) => {
+            const tab = this.button('', SLOT_TITLES[index], () => {
+                this.selected = index;
+                this.betzaError = null;
+                this.render();
+            });
+            tab.className = 'army-tab';
+            if (index === this.selected) tab.classList.add('selected');
+            tab.appendChild(this.icon(piece, 48));
+            tabs.appendChild(tab);
+        });
+        box.appendChild(tabs);
+
+        box.appendChild(this.renderPiece(this.pieces[this.selected]));
+
+        const problems = PieceSerializer.validateArmy(this.pieces);
+        if (this.betzaError) problems.unshift(this.betzaError);
+        const list = document.createElement('ul');
+        list.className = 'army-problems';
+        for (const problem of problems) {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            list.appendChild(item);
+        }
+        box.appendChild(list);
+
+        const valid = PieceSerializer.validateArmy(this.pieces).length === 0;
+        const actions = document.createElement('div');
+        actions.className = 'army-actions';
+        if (this.currentPieces) {
+            actions.appendChild(
+                this.button('📋', 'Copy the current set', () => {
+                    this.pieces = ArmyEditor.copy(this.currentPieces);
+                    this.render();
+                })
+            );
+        }
+        const saveBtn = this.button('💾', 'Save army', () =>
+            ArmyEditor.save(this.pieces)
+        );
+        saveBtn.disabled = !valid;
+        actions.appendChild(saveBtn);
+        for (const [mode, label, title] of [
+            ['ai', '🤖', 'Play against AI'],
+            ['otb', '👥', 'Play over the board'],
+            ['online', '🌐', 'Play online'],
+        ]) {
+            const startBtn = this.button(label, title, () => this.start(mode));
+            startBtn.disabled = !valid;
+            actions.appendChild(startBtn);
+        }
+        box.appendChild(actions);
+
+        this.root.appendChild(box);
+    }
+
+    start(mode) {
+        if (PieceSerializer.validateArmy(this.pieces).length > 0) return;
+        ArmyEditor.save(this.pieces);
+        const pieces = ArmyEditor.copy(this.pieces);
+        this.close();
+        if (this.onStart) this.onStart(mode, pieces);
+    }
+
+    renderPiece(piece) {
+        const form = document.createElement('div');
+        form.className = 'army-piece';
+
+        const preview = document.createElement('div');
+        preview.className = 'army-preview';
+        preview.appendChild(this.icon(piece, 120));
+        form.appendChild(preview);
+
+        const fields = document.createElement('div');
+        fields.className = 'army-fields';
+        form.appendChild(fields);
+
+        const name = this.input('text', piece.name, (value) => {
+            piece.name = value.trim();
+        });
+        name.maxLength = 4;
+        fields.appendChild(this.field('Symbol', name));
+
+        fields.appendChild(
+            this.field(
+                'Royal',
+                this.checkbox(piece.royal, (checked) => {
+                    piece.royal = checked;
+                })
+            )
+        );
+        for (const [type, label] of [
+            ['castling', 'Castling'],
+            ['enPassant', 'En passant'],
+        ]) {
+            const has = piece.specials.some((s) => s.type === type);
+            fields.appendChild(
+                this.field(
+                    label,
+                    this.checkbox(has, (checked) => {
+                        piece.specials = piece.specials.filter(
+                            (s) => s.type !== type
+                        );
+                        if (checked) piece.specials.push(new Special(type, {}));
+                    })
+                )
+            );
+        }
+
+        fields.appendChild(
+            this.field(
+                'Promotion',
+                this.select(PROMOTION_TYPES, piece.promotionType, (value) => {
+                    piece.promotionType = value;
+                    piece.promotionRank = value ? 7 : -1;
+                    if (value === 'choice' && !piece.promotionPieces.length) {
+                        piece.promotionPieces = this.pieces.filter(
+                            (p) => p !== piece && !p.royal
+                        );
+                    }
+                })
+            )
+        );
+        if (piece.promotionType === 'choice') {
+            fields.appendChild(this.renderPromotionTargets(piece));
+        }
+        if (piece.promotionType === 'move-upgrade') {
+            fields.appendChild(
+                this.betzaField(
+                    'Upgrade (Betza)',
+                    piece.upgradeMoves || [],
+                    (moves) => {
+                        piece.upgradeMoves = moves;
+                    }
+                )
+            );
+        }
+
+        fields.appendChild(
+            this.betzaField('Moves (Betza)', piece.moves, (moves) => {
+                piece.moves = moves;
+            })
+        );
+        form.appendChild(this.renderMoves(piece));
+        return form;
+    }
+
+    renderPromotionTargets(piece) {
+        const targets = document.createElement('div');
+        targets.className = 'army-targets';
+        this.pieces.forEach((other) => {
+            if (other === piece || other.royal) return;
+            const box = this.checkbox(
+                piece.promotionPieces.includes(other),
+                (checked) => {
+                    const others = piece.promotionPieces.filter(
+                        (p) => p !== other
+                    );
+                    // Keep promotion choices in army order
+                    piece.promotionPieces = this.pieces.filter(
+                        (p) => others.includes(p) || (checked && p === other)
+                    );
+                }
+            );
+            targets.appendChild(this.field(other.name, box));
+        });
+        return targets;
+    }
+
+    renderMoves(piece) {
+        const table = document.createElement('table');
+        table.className = 'army-moves';
+        const header = document.createElement('tr');
+        for (const title of [
+            'dx',
+            'dy',
+            'Symmetry',
+            'Distance',
+            'Jump',
+            'Capture',
+            'First move',
+            '',
+        ]) {
+            const th = document.createElement('th');
+            th.textContent = title;
+            header.appendChild(th);
+        }
+        table.appendChild(header);
+
+        piece.moves.forEach((move, index) => {
+            const row = document.createElement('tr');
+            const cells = [
+                this.input('number', move.step[0], (v) => {
+                    move.step = [Number(v), move.step[1]];
+                }),
+                this.input('number', move.step[1], (v) => {
+                    move.step = [move.step[0], Number(v)];
+                }),
+                this.select(SYMMETRIES, move.symmetry, (v) => {
+                    move.symmetry = v;
+                }),
+                this.input('number', move.distance, (v) => {
+                    move.distance = Number(v);
+                }),
+                this.select(JUMPS, move.jump, (v) => {
+                    move.jump = v;
+                }),
+                this.select(CAPTURES, move.capture, (v) => {
+                    move.capture = v;
+                }),
+                this.checkbox(move.requiresUnmoved, (checked) => {
+                    move.requiresUnmoved = checked;
+                }),
+                this.button('✖', 'Remove move', () => {
+                    piece.moves.splice(index, 1);
+                    this.render();
+                }),
+            ];
+            cells[3].min = -1;
+            cells[3].max = 7;
+            for (const cell of cells) {
+                const td = document.createElement('td');
+                td.appendChild(cell);
+                row.appendChild(td);
+            }
+            table.appendChild(row);
+        });
+
+        const addRow = document.createElement('tr');
+        const addCell = document.createElement('td');
+        addCell.colSpan = 8;
+        addCell.appendChild(
+            this.button('➕', 'Add move', () => {
+                piece.moves.push(
+                    new Move([1, 0], '4way', 1, 'prohibited', false)
+                );
+                this.render();
+            })
+        );
+        addRow.appendChild(addCell);
+        table.appendChild(addRow);
+        return table;
+    }
+
+    // Text field showing `moves` in Betza notation; a valid edit replaces them
+    betzaField(label, moves, onMoves) {
+        const input = this.input('text', BetzaNotation.fromMoves(moves), null);
+        input.addEventListener('change', () => {
+            const parsed = Move.fromBetza(input.value);
+            this.betzaError = parsed ? null : `Invalid Betza: ${input.value}`;
+            if (parsed) onMoves(parsed);
+            this.render();
+        });
+        return this.field(label, input);
+    }
+
+    icon(piece, size) {
+        try {
+            const icon = PieceGenerator.createMovementPatternIcon(
+                piece,
+                size,
+                'white',
+                'white',
+                false,
+                false
+            );
+            icon.style.width = `${size}px`;
+            icon.style.height = `${size}px`;
+            return icon;
+        } catch (e) {
+            console.warn('Failed to draw piece preview (armyEditor.js)', e);
+            const fallback = document.createElement('div');
+            fallback.textContent = '❓';
+            return fallback;
+        }
+    }
+
+    field(label, control) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'army-field';
+        const text = document.createElement('span');
+        text.textContent = label;
+        wrapper.append(text, control);
+        return wrapper;
+    }
+
+    button(text, title, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'mode-btn';
+        btn.textContent = text;
+        btn.title = title;
+        btn.setAttribute('aria-label', title);
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    // Inputs and selects write back on 'change' and re-render the editor
+    input(type, value, onChange) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        if (onChange) {
+            input.addEventListener('change', () => {
+                onChange(input.value);
+                this.render();
+            });
+        }
+        return input;
+    }
+
+    checkbox(checked, onChange) {
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = !!checked;
+        box.addEventListener('change', () => {
+            onChange(box.checked);
+            this.render();
+        });
+        return box;
+    }
+
+    select(values, current, onChange) {
+        const select = document.createElement('select');
+        values.forEach((value, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = value === null ? 'none' : value;
+            option.selected = value === current;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            onChange(values[Number(select.value)]);
+            this.render();
+        });
+        return select;
+    }
+}
+
+// Attach to window for backwards compatibility and export as ES module
+try {
+    if (typeof window !== 'undefined') {
+        window.ArmyEditor = ArmyEditor;
+    }
+} catch (e) {
+    /* ignore in non-browser env */
+}
+
+export { ArmyEditor };
@@ -1,24 +1,49 @@
 // ===== Game Mode Controllers =====
-/* global ChessEngine, ChessAI, MultiplayerGameController */
+/* global ChessEngine, ChessAIWorker, EndgameSolver, MultiplayerGameController */
 // Manage different game modes (AI vs Multiplayer)
 
 // Base controller for game logic coordination
 class GameController {
-    constructor(pieces, renderer, uiManager, seed = null) {
-        this.engine = new ChessEngine(pieces, seed);
+    // `blackPieces` gives black its own army (asymmetric games),
+    // `boardSize` ({rows, cols}) a board other than 8x8, `rules` a rule set
+    // name (see rules.js), `drops` turns on drop mode and `fog` fog of war
+    // (only with rule sets that allow it, see RuleSet.fogConflict)
+    constructor(
+        pieces,
+        renderer,
+        uiManager,
+        seed = null,
+        blackPieces = null,
+        boardSize = null,
+        rules = null,
+        drops = false,
+        fog = false
+    ) {
+        this.engine = new ChessEngine(
+            pieces,
+            seed,
+            blackPieces,
+            boardSize,
+            rules,
+            drops
+        );
         this.renderer = renderer;
         this.uiManager = uiManager;
+        this.fog = fog;
         this.selectedSquare = null;
+        this.selectedDrop = null; // {color, index} of a chosen reserve piece
         this.isActive = false;
         this._history = []; // store engine clones for takeback
+        this.endgameWorker = null; // ChessAIWorker solving endgame tables
     }
 
-    // Record current engine state to history (clone) before applying a move
-    recordState() {
+    // Record current engine state to history (clone) before applying a move.
+    // Pass `snapshot` to record a clone that was taken earlier.
+    recordState(snapshot = null) {
         try {
             if (!this.engine) return;
             // Keep a shallow cap to avoid unbounded memory
-            this._history.push(this.engine.clone());
+            this._history.push(snapshot || this.engine.clone());
             if (this._history.length > 256) this._history.shift();
             if (
                 this.uiManager &&
@@ -56,6 +81,7 @@ class GameController {
                 );
             }
             this.selectedSquare = null;
+            this.selectedDrop = null;
             if (
                 this.uiManager &&
                 typeof this.uiManager.updateTurn === 'function'
@@ -73,6 +99,13 @@ class GameController {
         }
     }
 
+    // Flash the check warning when the side to move is in check. Never under
+    // fog of war: it would give away attackers the player can't see.
+    announceCheck() {
+        if (this.fog || !this.engine.isInCheck(this.engine.currentTurn)) return;
+        this.uiManager.showMessage('⚠️', 2000);
+    }
+
     // Centralized end-of-game display helper so we can include engine-provided
     // reasons (e.g. 'Insufficient material'). Uses renderer.showResult when
     // available to present a custom reason, otherwise falls back to
@@ -86,6 +119,17 @@ class GameController {
                 } else if (this.uiManager) {
                     this.uiManager.showMessage('🤝', 0);
                 }
+            } else if (
+                this.engine.ruleResult &&
+                this.uiManager &&
+                typeof this.uiManager.showResult === 'function'
+            ) {
+                // Wins by the rule set (royal capture, three checks, ...)
+                this.uiManager.showResult(
+                    '🏁',
+                    this.engine.resultReason,
+                    winner === 'white' ? 'White wins' : 'Black wins'
+                );
             } else {
                 if (this.uiManager) this.uiManager.showMessage(winner === 'white' ? '⚪🏁' : '⚫🏁', 0);
             }
@@ -106,6 +150,9 @@ class GameController {
     start(placement = null) {
         this.engine.initializeBoard(placement);
         this.isActive = true;
+        this.renderer.attachReserveListener((color, index) =>
+            this.handleReserveClick(color, index)
+        );
         // Reset takeback history when starting a fresh game
         this._history = [];
         if (
@@ -123,13 +170,28 @@ class GameController {
         }
         this.render();
         this.uiManager.updateTurn(this.engine.currentTurn);
+        this.solveEndgames();
     }
 
     stop() {
         this.isActive = false;
+        if (this.endgameWorker) this.endgameWorker.cancelTablebase();
+    }
+
+    // Solve the game's small endings in a background worker; the engine's
+    // insufficient-material check only reads solved tables. Resolves to
+    // whether they are available.
+    solveEndgames() {
+        if (!this.endgameWorker) this.endgameWorker = new ChessAIWorker();
+        return this.endgameWorker.buildTablebase(this.engine);
     }
 
+    // Under fog of war the board shows what the player sees (hotseat: the
+    // side to move)
     render() {
+        this.renderer.setFog(
+            this.fog ? this.playerColor || this.engine.currentTurn : null
+        );
         this.renderer.render(
             this.engine.board,
             this.engine.lastMove,
@@ -143,6 +205,20 @@ class GameController {
         // Check if clicking a valid move
         const cellData = this.engine.board[row][col];
 
+        if (this.selectedDrop) {
+            const { index } = this.selectedDrop;
+            const isValidDrop = this.engine
+                .getDropMoves(this.engine.currentTurn)
+                .some(
+                    (m) =>
+                        m.drop === index && m.toRow === row && m.toCol === col
+                );
+            if (isValidDrop) {
+                this.makeDrop(index, row, col);
+                return;
+            }
+        }
+
         if (this.selectedSquare) {
             const validMoves = this.engine.getValidMoves(
                 this.selectedSquare.row,
@@ -173,6 +249,7 @@ class GameController {
 
     selectPiece(row, col) {
         this.selectedSquare = { row, col };
+        this.selectedDrop = null;
         const validMoves = this.engine.getValidMoves(row, col);
         const theoreticalMoves = this.engine.getTheoreticalMoves(row, col);
         const unrestrictedPattern = this.engine.getUnrestrictedPattern(
@@ -190,13 +267,47 @@ class GameController {
 
     clearSelection() {
         this.selectedSquare = null;
+        this.selectedDrop = null;
         this.renderer.clearSelection();
         this.render();
     }
 
+    // Drop mode: choose a piece from the side to move's reserve tray and
+    // show the squares it can be dropped on
+    handleReserveClick(color, index) {
+        if (!this.isActive || this.engine.isGameOver()) return;
+        if (color !== this.engine.currentTurn) return;
+        if (this.playerColor && color !== this.playerColor) return;
+
+        const targets = this.engine
+            .getDropMoves(color)
+            .filter((m) => m.drop === index)
+            .map((m) => ({ row: m.toRow, col: m.toCol }));
+        if (targets.length === 0) {
+            this.clearSelection();
+            return;
+        }
+        this.selectedSquare = null;
+        this.selectedDrop = { color, index };
+        this.renderer.setDropSelection(this.selectedDrop, targets);
+        this.render();
+    }
+
     makeMove(fromRow, fromCol, toRow, toCol) {
         // Override in subclasses
     }
+
+    makeDrop(index, row, col) {
+        // Record state so takeback can restore prior position
+        this.recordState();
+        if (!this.engine.makeDrop(index, row, col)) return;
+        this.clearSelection();
+        this.afterMove({ drop: index, toRow: row, toCol: col });
+    }
+
+    // Update turn, clocks and game state once the player's move (or drop)
+    // is on the board: afterMove(move). Override in subclasses.
+    afterMove() {}
 }
 
 // Attach controllers to window for backwards compatibility and export as ES module
@@ -212,8 +323,28 @@ export { GameController, AIGameController };
 
 // Hotseat controller: human plays both sides locally (no AI, no networking)
 class HotseatController extends GameController {
-    constructor(pieces, renderer, uiManager, seed = null) {
-        super(pieces, renderer, uiManager, seed);
+    constructor(
+        pieces,
+        renderer,
+        uiManager,
+        seed = null,
+        blackPieces = null,
+        boardSize = null,
+        rules = null,
+        drops = false,
+        fog = false
+    ) {
+        super(
+            pieces,
+            renderer,
+            uiManager,
+            seed,
+            blackPieces,
+            boardSize,
+            rules,
+            drops,
+            fog
+        );
     }
 
     start(placement = null, startingColor = 'white') {
@@ -260,11 +391,13 @@ class HotseatController extends GameController {
             return;
         }
 
+        this.afterMove({ fromRow, fromCol, toRow, toCol });
+    }
+
+    afterMove() {
         this.uiManager.updateTurn(this.engine.currentTurn);
 
-        if (this.engine.isInCheck(this.engine.currentTurn)) {
-            this.uiManager.showMessage('⚠️', 2000);
-        }
+        this.announceCheck();
 
         if (this.engine.isGameOver()) {
             this.displayGameEnd();
@@ -274,8 +407,8 @@ class HotseatController extends GameController {
     checkGameState() {
         if (this.engine.isGameOver()) {
             this.displayGameEnd();
-        } else if (this.engine.isInCheck(this.engine.currentTurn)) {
-            this.uiManager.showMessage('⚠️', 2000);
+        } else {
+            this.announceCheck();
         }
     }
 }
@@ -288,8 +421,30 @@ export { HotseatController };
 
 // Lightweight online controller: talks to server via WebSocket
 class OnlineGameController extends GameController {
-    constructor(pieces, renderer, uiManager, ws, color, seed = null) {
-        super(pieces, renderer, uiManager, seed);
+    constructor(
+        pieces,
+        renderer,
+        uiManager,
+        ws,
+        color,
+        seed = null,
+        blackPieces = null,
+        boardSize = null,
+        rules = null,
+        drops = false,
+        fog = false
+    ) {
+        super(
+            pieces,
+            renderer,
+            uiManager,
+            seed,
+            blackPieces,
+            boardSize,
+            rules,
+            drops,
+            fog
+        );
         this.ws = ws;
         this.playerColor = color;
     }
@@ -341,8 +496,6 @@ class OnlineGameController extends GameController {
                                     toCol,
                                     promotion: pieceIndex,
                                 },
-                                gameOver: this.engine.isGameOver(),
-                                winner: this.engine.getWinner(),
                             })
                         );
                     }
@@ -353,20 +506,18 @@ class OnlineGameController extends GameController {
             return;
         }
 
+        this.afterMove({ fromRow, fromCol, toRow, toCol });
+    }
+
+    afterMove(move) {
         this.uiManager.updateTurn(this.engine.currentTurn);
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(
-                JSON.stringify({
-                    type: 'MOVE',
-                    move: { fromRow, fromCol, toRow, toCol },
-                    gameOver: this.engine.isGameOver(),
-                    winner: this.engine.getWinner(),
-                })
-            );
+            this.ws.send(JSON.stringify({ type: 'MOVE', move }));
         }
+        // Under fog of war the server's view (applyFogView) decides
+        if (this.fog) return;
 
-        if (this.engine.isInCheck(this.engine.currentTurn))
-            this.uiManager.showMessage('⚠️', 2000);
+        this.announceCheck();
 
         if (this.engine.isGameOver()) {
             this.displayGameEnd();
@@ -374,12 +525,12 @@ class OnlineGameController extends GameController {
     }
 
     applyRemoteMove(move) {
-        this.engine.makeMove(
-            move.fromRow,
-            move.fromCol,
-            move.toRow,
-            move.toCol
-        );
+        // The server echoes our own validated moves back to us; those are
+        // already on the board, so only record and apply opponent moves.
+        const before = this.engine.clone();
+        const applied = this.engine.playMove(move);
+        if (!applied) return;
+        this.recordState(before);
         if (this.engine.pendingPromotion && move.promotion !== undefined)
             this.engine.completePromotion(move.promotion);
         this.render();
@@ -392,12 +543,76 @@ class OnlineGameController extends GameController {
             this.uiManager.startClock(owner);
             this.uiManager.setThinking('');
         }
-        if (this.engine.isInCheck(this.engine.currentTurn))
-            this.uiManager.showMessage('⚠️', 2000);
+        this.announceCheck();
         if (this.engine.isGameOver()) {
             this.displayGameEnd();
         }
     }
+
+    // Fog of war: the server sends each side only what it can see
+    // (ChessEngine.fogView) after every move, ours included, along with its
+    // verdict on the result (fog games have no check to announce, see
+    // RuleSet.fogConflict). Our own moves are already in the move list; the
+    // opponent's are recorded as '?'.
+    applyFogView(data) {
+        const engine = this.engine;
+        const view = ChessEngine.fromPositionString(
+            engine.pieces,
+            data.position,
+            engine.seed,
+            engine.blackPieces,
+            engine.rules,
+            data.ruleState
+        );
+        if (!view) return;
+        view.placement = engine.placement;
+        view.setResult(
+            data.gameOver ? { winner: data.winner, reason: data.reason } : null
+        );
+        if (data.color === this.playerColor) {
+            view.moveHistory = engine.moveHistory;
+        } else {
+            this.recordState(engine);
+            view.moveHistory = [
+                ...engine.moveHistory,
+                { color: data.color, notation: '?' },
+            ];
+        }
+        this.engine = view;
+
+        this.render();
+        this.uiManager.updateTurn(this.engine.currentTurn);
+        if (this.uiManager) {
+            const owner =
+                this.engine.currentTurn === this.playerColor
+                    ? 'player'
+                    : 'opponent';
+            this.uiManager.startClock(owner);
+            this.uiManager.setThinking('');
+        }
+        if (this.engine.isGameOver()) {
+            this.displayGameEnd();
+        }
+    }
+
+    // Fog of war: the server reveals every move (GAME_RECORD) once the game
+    // is over, filling in the opponent's '?' entries so it can be saved
+    revealMoves(moves) {
+        const history = this.engine.moveHistory;
+        if (!Array.isArray(moves) || moves.length !== history.length) return;
+        this.engine.moveHistory = history.map((entry, i) => ({
+            ...entry,
+            notation: moves[i],
+        }));
+        this.render();
+    }
+
+    // The server rejected our last move: restore the position before it
+    rejectMove() {
+        if (this.engine.currentTurn === this.playerColor) return;
+        this.takeback();
+        if (this.uiManager) this.uiManager.showMessage('⚠️', 2000);
+    }
 }
 
 try {
@@ -408,9 +623,33 @@ export { OnlineGameController };
 
 // AI Game Mode Controller
 class AIGameController extends GameController {
-    constructor(pieces, renderer, uiManager, difficulty = 'hard', seed = null) {
-        super(pieces, renderer, uiManager, seed);
-        this.ai = new ChessAI(difficulty);
+    constructor(
+        pieces,
+        renderer,
+        uiManager,
+        difficulty = 'hard',
+        seed = null,
+        blackPieces = null,
+        boardSize = null,
+        rules = null,
+        drops = false,
+        fog = false
+    ) {
+        super(
+            pieces,
+            renderer,
+            uiManager,
+            seed,
+            blackPieces,
+            boardSize,
+            rules,
+            drops,
+            fog
+        );
+        // Searches run in a Web Worker (in-thread fallback when unavailable)
+        this.ai = new ChessAIWorker(difficulty);
+        // The AI probes the endgame tables it solves
+        this.endgameWorker = this.ai;
         this.playerColor = null;
         this.aiColor = null;
         this.aiTimeout = null;
@@ -448,6 +687,34 @@ class AIGameController extends GameController {
         super.handleSquareClick(row, col);
     }
 
+    render() {
+        super.render();
+        this.showTablebase();
+    }
+
+    // The tables also drive the AI and the "mate in N" display
+    solveEndgames() {
+        return super.solveEndgames().then((ready) => {
+            if (ready && this.isActive) this.showTablebase();
+            return ready;
+        });
+    }
+
+    // "Mate in N" (or a draw) once the position is in a solved ending; hidden
+    // under fog of war, which would give away unseen pieces
+    showTablebase() {
+        if (
+            !this.uiManager ||
+            typeof this.uiManager.setTablebase !== 'function'
+        )
+            return;
+        const probe =
+            this.fog || this.engine.isGameOver()
+                ? null
+                : EndgameSolver.probe(this.engine);
+        this.uiManager.setTablebase(probe, this.engine.currentTurn);
+    }
+
     makeMove(fromRow, fromCol, toRow, toCol) {
         // Record state before applying move so user can takeback
         this.recordState();
@@ -479,6 +746,10 @@ class AIGameController extends GameController {
             return;
         }
 
+        this.afterMove({ fromRow, fromCol, toRow, toCol });
+    }
+
+    afterMove() {
         this.uiManager.updateTurn(this.engine.currentTurn);
         // Update clock for the next player
         if (this.uiManager) {
@@ -490,9 +761,7 @@ class AIGameController extends GameController {
         }
 
         // Show check status
-        if (this.engine.isInCheck(this.engine.currentTurn)) {
-            this.uiManager.showMessage('⚠️', 2000);
-        }
+        this.announceCheck();
 
         if (this.engine.isGameOver()) {
             this.displayGameEnd();
@@ -522,10 +791,12 @@ class AIGameController extends GameController {
                 clearTimeout(this.aiTimeout);
                 this.aiTimeout = null;
             }
+            this.ai.cancel();
             if (this.uiManager) {
                 this.uiManager.setThinking('idle');
                 this.uiManager.updateTurn(this.engine.currentTurn);
             }
+            this.showTablebase();
             return true;
         } catch (e) {
             return false;
@@ -535,8 +806,8 @@ class AIGameController extends GameController {
     checkGameState() {
         if (this.engine.isGameOver()) {
             this.displayGameEnd();
-        } else if (this.engine.isInCheck(this.engine.currentTurn)) {
-            this.uiManager.showMessage('⚠️', 2000);
+        } else {
+            this.announceCheck();
         }
     }
 
@@ -556,10 +827,20 @@ class AIGameController extends GameController {
                 this.uiManager.setThinking('thinking');
                 this.uiManager.startClock('ai');
             }
-            const bestMove = await this.ai.getBestMove(this.engine);
-
-            // If controller was stopped while thinking, abort before applying a move
-            if (!this.isActive || this.engine.isGameOver()) {
+            const engine = this.engine;
+            // Show the depth of each completed search iteration as it streams in
+            const bestMove = await this.ai.getBestMove(engine, (progress) => {
+                if (this.uiManager && this.engine === engine)
+                    this.uiManager.setThinking(`💭${progress.depth}`);
+            });
+
+            // If controller was stopped (or the position taken back) while
+            // thinking, abort before applying a move
+            if (
+                !this.isActive ||
+                this.engine !== engine ||
+                this.engine.isGameOver()
+            ) {
                 this.aiTimeout = null;
                 return;
             }
@@ -567,12 +848,7 @@ class AIGameController extends GameController {
             if (bestMove) {
                 // Record current state so AI moves can be undone as well
                 this.recordState();
-                this.engine.makeMove(
-                    bestMove.fromRow,
-                    bestMove.fromCol,
-                    bestMove.toRow,
-                    bestMove.toCol
-                );
+                this.engine.playMove(bestMove);
 
                 // Handle AI promotion - always choose first piece (strongest)
                 if (this.engine.pendingPromotion) {
@@ -594,9 +870,7 @@ class AIGameController extends GameController {
                 }
 
                 // Show check status
-                if (this.engine.isInCheck(this.engine.currentTurn)) {
-                    this.uiManager.showMessage('⚠️', 2000);
-                }
+                this.announceCheck();
 
                 if (this.engine.isGameOver()) {
                     this.displayGameEnd();
@@ -612,9 +886,12 @@ class AIGameController extends GameController {
             clearTimeout(this.aiTimeout);
             this.aiTimeout = null;
         }
+        this.ai.cancel();
         super.stop();
         if (this.uiManager) {
             this.uiManager.setThinking('');
+            if (typeof this.uiManager.setTablebase === 'function')
+                this.uiManager.setTablebase(null);
                 try {
                 this.uiManager.stopClock();
             } catch (e) { console.warn('Ignored error stopping clock (controllers.js)', e); }
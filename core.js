@@ -0,0 +1,20 @@
+// ===== Headless Core =====
+// Package entry point (`randochess/core`) for Node scripts, bots and the
+// server. Re-exports the DOM-free modules; nothing here touches `window`
+// or `document` unless they exist.
+
+export {
+    Piece,
+    Move,
+    Special,
+    PieceSerializer,
+    BetzaNotation,
+} from './pieces.js';
+export { PieceGenerator, SeededRandom } from './Generator.js';
+export { ChessEngine } from './engine.js';
+export { RuleSet } from './rules.js';
+export { EndgameSolver } from './endgame.js';
+export { Evaluation } from './evaluation.js';
+export { GeneratorAnalyzer } from './analyzer.js';
+export { ChessAI } from './ai.js';
+export { GameRecord } from './gameRecord.js';
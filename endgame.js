@@ -0,0 +1,655 @@
+// ===== Endgame Solver =====
+// Retrograde analysis of endings with a few pieces on the generated piece
+// definitions. Every placement of the given pieces is solved to a win, loss
+// or draw for the side to move, with the distance to mate in plies. Moves
+// come from ChessEngine itself (getPseudoLegalMoves, canPieceAttackSquare)
+// on a scratch board, so the tables follow the same rules as play. A
+// capture leaves the table for the smaller one without the captured piece,
+// which is solved first.
+//
+// Only rule sets whose results depend on the board alone can be solved
+// (RuleSet.positional). Pieces count as moved, so first-move-only moves and
+// castling never apply.
+//
+// Tables live in a per-seed cache. solveEndings builds every K+X vs K (and,
+// on boards small enough, K+X vs K+Y) ending of a game, which takes seconds,
+// so games do it in a background worker and hand the finished tables over
+// with exportTables/importTables. probe only reads the cache and is cheap
+// enough to call from search.
+
+import { PieceSerializer } from './pieces.js';
+
+const UNKNOWN = 0;
+const WIN = 1;
+const LOSS = 2;
+const DRAW = 3;
+const ILLEGAL = 4; // overlapping pieces, or the side not to move in check
+
+// seed -> Map(table key -> EndgameTable); only the last few seeds are kept
+const tablesBySeed = new Map();
+const MAX_CACHED_SEEDS = 4;
+// Largest table solved: three pieces on 10x10 (a few seconds)
+const MAX_TABLE_POSITIONS = 2000000;
+// Most pieces in any table, so probe can give up early on fuller boards
+const MAX_TABLE_PIECES = 4;
+// piece -> {key, firstMoves}: its moves as a cache key and whether it has
+// first-move-only moves
+const pieceInfo = new WeakMap();
+
+// Solved positions for a number of pieces (royals included) in sorted
+// order (see EndgameSolver.sortPieces). Positions are indexed by each
+// piece's square (row * cols + col) in that order, then the side to move.
+class EndgameTable {
+    constructor(pieceCount, rows, cols, values = null, dtm = null) {
+        this.pieceCount = pieceCount;
+        this.rows = rows;
+        this.cols = cols;
+        this.squares = rows * cols;
+        this.size = this.squares ** pieceCount * 2;
+        this.values = values || new Uint8Array(this.size);
+        this.dtm = dtm || new Uint16Array(this.size);
+    }
+
+    index(squares, turn) {
+        let index = 0;
+        for (const square of squares) index = index * this.squares + square;
+        return index * 2 + (turn === 'white' ? 0 : 1);
+    }
+
+    // Fill `squares` with the piece squares of a position index and return
+    // the side to move
+    decode(index, squares) {
+        let rest = Math.floor(index / 2);
+        for (let i = squares.length - 1; i >= 0; i--) {
+            squares[i] = rest % this.squares;
+            rest = Math.floor(rest / this.squares);
+        }
+        return index % 2 === 0 ? 'white' : 'black';
+    }
+
+    // Whether `color` wins some position of the table
+    hasWinFor(color) {
+        for (let index = 0; index < this.size; index++) {
+            const value = this.values[index];
+            const toMove = index % 2 === 0 ? 'white' : 'black';
+            if (value === (toMove === color ? WIN : LOSS)) return true;
+        }
+        return false;
+    }
+
+    // Longest distance to mate (plies) among `color`'s wins, -1 if none
+    longestWinFor(color) {
+        let longest = -1;
+        for (let index = 0; index < this.size; index++) {
+            const value = this.values[index];
+            const toMove = index % 2 === 0 ? 'white' : 'black';
+            if (value === (toMove === color ? WIN : LOSS)) {
+                longest = Math.max(longest, this.dtm[index]);
+            }
+        }
+        return longest;
+    }
+}
+
+class EndgameSolver {
+    // Solved table for `pieces` ([{piece, color}]) on `engine`'s board size
+    // and rule set, or null if the rule set can't be solved or the table
+    // isn't cached and would have more than `maxPositions` positions (0:
+    // cache only). Tables are cached per seed and indexed in sorted piece
+    // order.
+    static solve(engine, pieces, maxPositions = MAX_TABLE_POSITIONS) {
+        if (!engine.rules.positional) return null;
+        const sorted = EndgameSolver.sortPieces(pieces);
+        const key = EndgameSolver.tableKey(engine, sorted);
+        const cached = tablesBySeed.get(engine.seed);
+        if (cached && cached.has(key)) return cached.get(key);
+        if (EndgameSolver.tableSize(engine, pieces.length) > maxPositions) {
+            return null;
+        }
+        const table = EndgameSolver._solveTable(engine, sorted);
+        EndgameSolver._seedTables(engine.seed).set(key, table);
+        return table;
+    }
+
+    // Solve every ending of `engine`'s game with up to `maxPieces` pieces:
+    // K vs K, K+X vs K and with four pieces K+X vs K+Y, for each army piece
+    // X, Y that can't promote. Tables over `maxPositions` are skipped.
+    // Returns the solved endings as [{pieces, table}] (none when the game
+    // can't use them).
+    static solveEndings(
+        engine,
+        maxPieces = 3,
+        maxPositions = MAX_TABLE_POSITIONS
+    ) {
+        if (!engine.rules.positional || engine.drops) return [];
+        const royals = {
+            white: EndgameSolver._royalPiece(engine, 'white'),
+            black: EndgameSolver._royalPiece(engine, 'black'),
+        };
+        if (!royals.white || !royals.black) return [];
+        const extras = (color) =>
+            engine
+                .armyFor(color)
+                .filter((piece) => !piece.royal && piece.promotionRank === -1)
+                .map((piece) => ({ piece, color }));
+        const endings = [[]];
+        for (const extra of [...extras('white'), ...extras('black')]) {
+            endings.push([extra]);
+        }
+        if (maxPieces >= 4) {
+            for (const white of extras('white')) {
+                for (const black of extras('black')) {
+                    endings.push([white, black]);
+                }
+            }
+        }
+
+        const solved = [];
+        for (const extra of endings) {
+            if (extra.length + 2 > maxPieces) continue;
+            const pieces = [
+                { piece: royals.white, color: 'white' },
+                { piece: royals.black, color: 'black' },
+                ...extra,
+            ];
+            const table = EndgameSolver.solve(engine, pieces, maxPositions);
+            if (table) solved.push({ pieces, table });
+        }
+        return solved;
+    }
+
+    // Result of `engine`'s position for the side to move when a cached table
+    // covers it: {result: 'win' | 'loss' | 'draw', dtm} with the distance to
+    // mate (or to the rule set's win) in plies, else null. Never solves
+    // anything. The 50-move rule and repetitions are not taken into account.
+    static probe(engine) {
+        const tables = tablesBySeed.get(engine.seed);
+        if (!tables || tables.size === 0) return null;
+        if (engine.drops || engine.ruleResult || !engine.rules.positional) {
+            return null;
+        }
+        const found = [];
+        for (let row = 0; row < engine.rows; row++) {
+            for (let col = 0; col < engine.cols; col++) {
+                const cell = engine.board[row][col];
+                if (!cell) continue;
+                if (found.length === MAX_TABLE_PIECES) return null;
+                // Tables leave out first-move-only moves and castling
+                if (!cell.hasMoved && getPieceInfo(cell.piece).firstMoves) {
+                    return null;
+                }
+                found.push({
+                    piece: cell.piece,
+                    color: cell.color,
+                    square: row * engine.cols + col,
+                });
+            }
+        }
+        const sorted = EndgameSolver.sortPieces(found);
+        const table = tables.get(EndgameSolver.tableKey(engine, sorted));
+        if (!table) return null;
+        const index = table.index(
+            sorted.map((p) => p.square),
+            engine.currentTurn
+        );
+        const value = table.values[index];
+        const dtm = table.dtm[index];
+        if (value === WIN) return { result: 'win', dtm };
+        if (value === LOSS) return { result: 'loss', dtm };
+        if (value === DRAW) return { result: 'draw', dtm: 0 };
+        return null;
+    }
+
+    // Cached tables of `seed` as plain data ({key, pieceCount, rows, cols,
+    // values, dtm}) that can be posted to or from a worker
+    static exportTables(seed) {
+        const tables = tablesBySeed.get(seed);
+        if (!tables) return [];
+        return [...tables].map(([key, table]) => ({
+            key,
+            pieceCount: table.pieceCount,
+            rows: table.rows,
+            cols: table.cols,
+            values: table.values,
+            dtm: table.dtm,
+        }));
+    }
+
+    // Add exported tables to `seed`'s cache; malformed entries are skipped
+    static importTables(seed, data) {
+        if (!Array.isArray(data)) {
+            console.warn('Ignoring malformed endgame tables', data);
+            return 0;
+        }
+        const tables = EndgameSolver._seedTables(seed);
+        let imported = 0;
+        for (const entry of data) {
+            const table =
+                entry && typeof entry.key === 'string'
+                    ? new EndgameTable(
+                          entry.pieceCount,
+                          entry.rows,
+                          entry.cols,
+                          entry.values,
+                          entry.dtm
+                      )
+                    : null;
+            if (
+                !table ||
+                !(table.values instanceof Uint8Array) ||
+                !(table.dtm instanceof Uint16Array) ||
+                table.values.length !== table.size ||
+                table.dtm.length !== table.size
+            ) {
+                console.warn('Ignoring malformed endgame table', entry);
+                continue;
+            }
+            tables.set(entry.key, table);
+            imported++;
+        }
+        return imported;
+    }
+
+    // Whether `color`'s royal plus `piece` (null for the royal alone) can
+    // force a win against the lone enemy royal, i.e. wins some position of
+    // that ending. Null when there is no answer (royal missing, rule set
+    // that can't be solved).
+    static canForceMate(engine, color, piece = null) {
+        const table = EndgameSolver.materialTable(engine, color, piece);
+        return table ? table.hasWinFor(color) : null;
+    }
+
+    // Table for both royals plus `color`'s `piece` (null: royals alone), or
+    // null if it can't be solved (see solve for `maxPositions`)
+    static materialTable(
+        engine,
+        color,
+        piece = null,
+        maxPositions = MAX_TABLE_POSITIONS
+    ) {
+        const white = EndgameSolver._royalPiece(engine, 'white');
+        const black = EndgameSolver._royalPiece(engine, 'black');
+        if (!white || !black) return null;
+        const pieces = [
+            { piece: white, color: 'white' },
+            { piece: black, color: 'black' },
+        ];
+        if (piece) pieces.push({ piece, color });
+        return EndgameSolver.solve(engine, pieces, maxPositions);
+    }
+
+    // Positions in a table of `count` pieces on `engine`'s board
+    static tableSize(engine, count) {
+        return (engine.rows * engine.cols) ** count * 2;
+    }
+
+    // Copy of `pieces` in table order: white first, royals first within a
+    // color, then by moves
+    static sortPieces(pieces) {
+        const rank = ({ piece, color }) =>
+            (color === 'white' ? 0 : 2) + (piece.royal ? 0 : 1);
+        return [...pieces].sort((a, b) => {
+            if (rank(a) !== rank(b)) return rank(a) - rank(b);
+            const keyA = getPieceInfo(a.piece).key;
+            const keyB = getPieceInfo(b.piece).key;
+            return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+        });
+    }
+
+    // Cache key: board size, rule set and each piece's color and moves
+    static tableKey(engine, pieces) {
+        const parts = pieces.map(
+            ({ piece, color }) => color[0] + getPieceInfo(piece).key
+        );
+        return `${engine.cols}x${engine.rows} ${engine.rules.name} ${parts.join(
+            ' '
+        )}`;
+    }
+
+    static _seedTables(seed) {
+        if (!tablesBySeed.has(seed)) {
+            if (tablesBySeed.size >= MAX_CACHED_SEEDS) {
+                tablesBySeed.delete(tablesBySeed.keys().next().value);
+            }
+            tablesBySeed.set(seed, new Map());
+        }
+        return tablesBySeed.get(seed);
+    }
+
+    // The royal piece `color` has on the board (royal variants are their own
+    // pieces), falling back to its army's
+    static _royalPiece(engine, color) {
+        const king = engine.findKing(color);
+        if (king) return engine.board[king.row][king.col].piece;
+        return engine.armyFor(color).find((piece) => piece.royal) || null;
+    }
+
+    static _solveTable(engine, pieces) {
+        return new TableBuilder(engine, pieces).solve();
+    }
+}
+
+function getPieceInfo(piece) {
+    if (!pieceInfo.has(piece)) {
+        pieceInfo.set(piece, {
+            key:
+                (piece.royal ? 'R' : '') +
+                JSON.stringify(piece.moves.map(PieceSerializer.serializeMove)),
+            firstMoves: piece.moves.some((move) => move.requiresUnmoved),
+        });
+    }
+    return pieceInfo.get(piece);
+}
+
+// Builds one EndgameTable: generates every position's moves on a scratch
+// engine into a forward move graph, then resolves it ply by ply
+class TableBuilder {
+    constructor(engine, pieces) {
+        this.engine = engine;
+        this.pieces = pieces;
+        this.rules = engine.rules;
+        this.cols = engine.cols;
+        this.table = new EndgameTable(pieces.length, engine.rows, engine.cols);
+        this.scratch = new engine.constructor(
+            engine.pieces,
+            engine.seed,
+            engine.blackPieces,
+            { rows: engine.rows, cols: engine.cols },
+            engine.rules
+        );
+        this.scratch.board = this.scratch._emptyBoard();
+        this.scratch.lastMove = null;
+        this.cells = pieces.map(({ piece, color }) => ({
+            piece,
+            color,
+            hasMoved: true,
+        }));
+        this.royalIndex = {
+            white: pieces.findIndex(
+                (p) => p.color === 'white' && p.piece.royal
+            ),
+            black: pieces.findIndex(
+                (p) => p.color === 'black' && p.piece.royal
+            ),
+        };
+        // With three pieces an attack on a royal has at most one possible
+        // blocker, so (attacker, attacker square, royal square, blocker
+        // square) decides it: 0 unknown, 1 no, 2 yes
+        const n = this.table.squares;
+        this.attackMemo =
+            pieces.length <= 3
+                ? pieces.map(() => new Uint8Array(n ** 3))
+                : null;
+        this.subtables = new Map(); // captured piece index -> table
+
+        // Forward move graph: in-table children as indices, moves leaving
+        // the table (captures, rule set results) as -(exit + 1)
+        this.edgeStart = new Int32Array(this.table.size + 1);
+        this.edges = new Int32Array(1 << 16);
+        this.edgeCount = 0;
+        this.exitValues = [];
+        this.exitDtm = [];
+    }
+
+    solve() {
+        const { table } = this;
+        const squares = new Array(this.pieces.length);
+        for (let index = 0; index < table.size; index++) {
+            this.edgeStart[index] = this.edgeCount;
+            const toMove = table.decode(index, squares);
+            table.values[index] = this._generate(squares, toMove);
+        }
+        this.edgeStart[table.size] = this.edgeCount;
+        this._resolve();
+        return table;
+    }
+
+    // Add the moves of one position to the graph; returns its value when
+    // it is already decided (no legal moves, illegal) or UNKNOWN
+    _generate(squares, toMove) {
+        const { scratch, cells, rules, cols } = this;
+        for (let i = 0; i < squares.length; i++) {
+            for (let j = 0; j < i; j++) {
+                if (squares[i] === squares[j]) return ILLEGAL;
+            }
+        }
+        const opponent = toMove === 'white' ? 'black' : 'white';
+        for (let i = 0; i < squares.length; i++) {
+            scratch.board[Math.floor(squares[i] / cols)][squares[i] % cols] =
+                cells[i];
+        }
+        scratch.currentTurn = toMove;
+
+        let value = UNKNOWN;
+        // The side that just moved can't have left its royal attacked
+        if (rules.checkRules && this._royalAttacked(squares, opponent)) {
+            value = ILLEGAL;
+        } else if (this._generateMoves(squares, toMove, opponent) === 0) {
+            // No legal moves: the rule set decides, else mate or stalemate
+            const result = rules.noMovesResult(scratch);
+            if (result) value = valueFor(result.winner, toMove);
+            else value = scratch.isInCheck(toMove) ? LOSS : DRAW;
+        }
+
+        for (const square of squares) {
+            scratch.board[Math.floor(square / cols)][square % cols] = null;
+        }
+        return value;
+    }
+
+    // Add every legal move of `toMove` and return how many there are
+    _generateMoves(squares, toMove, opponent) {
+        const { scratch, cells, rules, cols } = this;
+        let legalMoves = 0;
+        for (let mover = 0; mover < squares.length; mover++) {
+            if (cells[mover].color !== toMove) continue;
+            const from = squares[mover];
+            const fromRow = Math.floor(from / cols);
+            const fromCol = from % cols;
+            for (const move of scratch.getPseudoLegalMoves(fromRow, fromCol)) {
+                const to = move.row * cols + move.col;
+                const captured = squares.indexOf(to);
+
+                // Play it on the scratch board and the square list
+                scratch.board[move.row][move.col] = cells[mover];
+                scratch.board[fromRow][fromCol] = null;
+                squares[mover] = to;
+                if (captured !== -1) squares[captured] = null;
+                const legal =
+                    !rules.checkRules || !this._royalAttacked(squares, toMove);
+                if (legal) {
+                    legalMoves++;
+                    const result = rules.result(scratch, toMove);
+                    if (result) {
+                        this._addExit(valueFor(result.winner, opponent), 0);
+                    } else if (captured !== -1) {
+                        this._addCaptureExit(squares, captured, opponent);
+                    } else {
+                        this._addEdge(this.table.index(squares, opponent));
+                    }
+                }
+                squares[mover] = from;
+                if (captured !== -1) squares[captured] = to;
+                scratch.board[fromRow][fromCol] = cells[mover];
+                scratch.board[move.row][move.col] =
+                    captured !== -1 ? cells[captured] : null;
+            }
+        }
+        return legalMoves;
+    }
+
+    // Whether `color`'s royal is attacked in `squares` (null = captured)
+    _royalAttacked(squares, color) {
+        const royal = this.royalIndex[color];
+        if (royal === -1 || squares[royal] === null) return false;
+        const { scratch, cells, cols } = this;
+        const n = this.table.squares;
+        const target = squares[royal];
+        for (let i = 0; i < squares.length; i++) {
+            const square = squares[i];
+            if (square === null || cells[i].color === color) continue;
+            if (this.attackMemo) {
+                // The blocker is whichever third piece is left, if any
+                let other = target;
+                for (let j = 0; j < squares.length; j++) {
+                    if (j !== i && j !== royal && squares[j] !== null) {
+                        other = squares[j];
+                    }
+                }
+                const key = (square * n + target) * n + other;
+                const memo = this.attackMemo[i];
+                if (memo[key] === 0) {
+                    memo[key] = scratch.canPieceAttackSquare(
+                        Math.floor(square / cols),
+                        square % cols,
+                        Math.floor(target / cols),
+                        target % cols
+                    )
+                        ? 2
+                        : 1;
+                }
+                if (memo[key] === 2) return true;
+            } else if (
+                scratch.canPieceAttackSquare(
+                    Math.floor(square / cols),
+                    square % cols,
+                    Math.floor(target / cols),
+                    target % cols
+                )
+            ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // A capture continues in the table without the captured piece (smaller
+    // than this one, so never over the size limit)
+    _addCaptureExit(squares, captured, toMove) {
+        if (!this.subtables.has(captured)) {
+            this.subtables.set(
+                captured,
+                EndgameSolver.solve(
+                    this.engine,
+                    this.pieces.filter((_, i) => i !== captured),
+                    Infinity
+                )
+            );
+        }
+        const sub = this.subtables.get(captured);
+        const child = sub.index(
+            squares.filter((_, i) => i !== captured),
+            toMove
+        );
+        this._addExit(sub.values[child], sub.dtm[child]);
+    }
+
+    _addEdge(edge) {
+        if (this.edgeCount === this.edges.length) {
+            const grown = new Int32Array(this.edges.length * 2);
+            grown.set(this.edges);
+            this.edges = grown;
+        }
+        this.edges[this.edgeCount++] = edge;
+    }
+
+    _addExit(value, dtm) {
+        this.exitValues.push(value);
+        this.exitDtm.push(dtm);
+        this._addEdge(-this.exitValues.length);
+    }
+
+    // Resolve by distance, shortest first: a position is won in d + 1
+    // plies once a move reaches a position lost in d, and lost in d + 1
+    // once the last of its moves reaches a position won in d. Whatever is
+    // left is drawn.
+    _resolve() {
+        const { table, edges, edgeStart, edgeCount, exitValues, exitDtm } =
+            this;
+        const { values, dtm, size } = table;
+
+        // Predecessors of every in-table position
+        const predStart = new Int32Array(size + 1);
+        for (let e = 0; e < edgeCount; e++) {
+            if (edges[e] >= 0) predStart[edges[e] + 1]++;
+        }
+        for (let index = 0; index < size; index++) {
+            predStart[index + 1] += predStart[index];
+        }
+        const preds = new Int32Array(predStart[size]);
+        const fill = predStart.slice(0, size);
+        // Moves per position not yet known to reach a won position
+        const remaining = new Int32Array(size);
+        // ply -> [position, child value] for positions and exits resolved
+        // at that distance
+        const levels = [[]];
+        const atLevel = (ply) => {
+            while (levels.length <= ply) levels.push([]);
+            return levels[ply];
+        };
+        for (let index = 0; index < size; index++) {
+            remaining[index] = edgeStart[index + 1] - edgeStart[index];
+            for (let e = edgeStart[index]; e < edgeStart[index + 1]; e++) {
+                const edge = edges[e];
+                if (edge >= 0) {
+                    preds[fill[edge]++] = index;
+                } else if (exitValues[-edge - 1] !== DRAW) {
+                    atLevel(exitDtm[-edge - 1]).push(
+                        index,
+                        exitValues[-edge - 1]
+                    );
+                }
+            }
+            if (values[index] === WIN || values[index] === LOSS) {
+                atLevel(0).push(-1, index);
+            }
+        }
+
+        // Entries are pairs: (-1, resolved position) or (parent, exit value)
+        const settle = (parent, childValue, ply) => {
+            if (values[parent] !== UNKNOWN) return;
+            if (childValue === LOSS) {
+                values[parent] = WIN;
+            } else if (childValue === WIN && --remaining[parent] === 0) {
+                values[parent] = LOSS;
+            } else {
+                return;
+            }
+            dtm[parent] = ply + 1;
+            atLevel(ply + 1).push(-1, parent);
+        };
+        for (let ply = 0; ply < levels.length; ply++) {
+            const level = levels[ply];
+            for (let i = 0; i < level.length; i += 2) {
+                if (level[i] !== -1) {
+                    settle(level[i], level[i + 1], ply);
+                    continue;
+                }
+                const child = level[i + 1];
+                for (let p = predStart[child]; p < predStart[child + 1]; p++) {
+                    settle(preds[p], values[child], ply);
+                }
+            }
+        }
+        for (let index = 0; index < size; index++) {
+            if (values[index] === UNKNOWN) values[index] = DRAW;
+        }
+    }
+}
+
+// Value for the side to move when `winner` won
+function valueFor(winner, toMove) {
+    if (winner === 'draw') return DRAW;
+    return winner === toMove ? WIN : LOSS;
+}
+
+// Attach to window for backwards compatibility and export as ES module
+try {
+    if (typeof window !== 'undefined') {
+        window.EndgameSolver = EndgameSolver;
+    }
+} catch (e) {
+    /* ignore in non-browser env */
+}
+
+export { EndgameSolver, EndgameTable, WIN, LOSS, DRAW };
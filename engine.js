@@ -1,15 +1,92 @@
 // ===== Core Chess Engine =====
 // Pure game logic with no UI or network dependencies
-/* global SeededRandom */
-import { PieceGenerator } from './Generator.js';
-import { Move, Piece, Special } from './pieces.js';
+import { PieceGenerator, SeededRandom } from './Generator.js';
+import { Move, Piece, Special, PieceSerializer } from './pieces.js';
+import { RuleSet } from './rules.js';
+import { EndgameSolver } from './endgame.js';
+
+// ===== Zobrist keys =====
+// Keys are pairs of 32-bit halves drawn from a fixed-seed generator, so every
+// engine (browser, server) derives identical hashes. Squares are indexed as
+// row * 16 + col to leave room for boards larger than 8x8.
+const ZOBRIST_SQUARES = 256;
+
+function zobristRandom(seed) {
+    // mulberry32
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+}
+
+function zobristTable(seed, size) {
+    const next = zobristRandom(seed);
+    const table = new Uint32Array(size);
+    for (let i = 0; i < size; i++) table[i] = next();
+    return table;
+}
+
+// [side to move (2)] + [en-passant file (16) x 2 halves]
+const ZOBRIST_MISC = zobristTable(0x2545f491, 2 + 16 * 2);
+
+// Board dimensions: rows and columns may each be 4-16 (the Zobrist square
+// indexing above), columns even so back ranks mirror around the royal
+const DEFAULT_BOARD_SIZE = { rows: 8, cols: 8 };
+const MIN_BOARD_SIZE = 4;
+const MAX_BOARD_SIZE = 16;
+
+// Endgame tables small enough to solve during a move (K vs K up to 10x10,
+// K+X vs K on 4x4): about a tenth of a second, once per seed
+const INLINE_TABLE_POSITIONS = 20000;
+
+// Drop-mode reserves: [color (2)][army index (6)][count (1-64)] x 2 halves.
+// An empty reserve adds no key, so games without drops hash as before.
+const RESERVE_MAX = 64;
+const ZOBRIST_RESERVE = zobristTable(0x5bd1e995, 2 * 6 * (RESERVE_MAX + 1) * 2);
+
+// Rule set state (RuleSet.stateKey, e.g. three-check counts) x 2 halves
+const RULE_STATE_KEYS = 64;
+const ZOBRIST_RULE_STATE = zobristTable(0x68e31da4, RULE_STATE_KEYS * 2);
+
+// Drop mode: promoted pieces (banked as pawns), [square] x 2 halves
+const ZOBRIST_PROMOTED = zobristTable(0x1b873593, ZOBRIST_SQUARES * 2);
+
+// Per piece code: [color][hasMoved][square] x 2 halves, generated on demand
+const zobristPieceTables = [];
+function zobristPieceKeys(code) {
+    if (!zobristPieceTables[code]) {
+        zobristPieceTables[code] = zobristTable(
+            Math.imul(code + 1, 0x9e3779b1),
+            2 * 2 * ZOBRIST_SQUARES * 2
+        );
+    }
+    return zobristPieceTables[code];
+}
 
 class ChessEngine {
-    constructor(pieces, seed = null) {
+    // `size` is {rows, cols} (default 8x8); a placement that carries its own
+    // rows/cols resizes the board in initializeBoard. `rules` is a rule set
+    // name or RuleSet (default 'checkmate', see rules.js). `drops` turns on
+    // drop mode: captured pieces go to the captor's reserve and can be
+    // dropped onto empty squares as a move.
+    constructor(
+        pieces,
+        seed = null,
+        blackPieces = null,
+        size = null,
+        rules = null,
+        drops = false
+    ) {
         this.pieces = pieces;
-        this.board = Array(8)
-            .fill(null)
-            .map(() => Array(8).fill(null));
+        this.blackPieces = blackPieces; // black's own army, or null when both sides share `pieces`
+        const { rows, cols } = ChessEngine.normalizeBoardSize(size);
+        this.rows = rows;
+        this.cols = cols;
+        this.board = this._emptyBoard();
         this.currentTurn = 'white';
         this.gameOver = false;
         this.placement = null; // Store placement for deterministic board setup
@@ -17,6 +94,82 @@ class ChessEngine {
         this.seed = seed; // Store seed for move-upgrade generation
         this.lastMove = null; // {fromRow, fromCol, toRow, toCol, piece} for en passant tracking
         this.resultReason = null; // optional human-readable reason for game end (e.g. 'Insufficient material')
+        this.moveHistory = []; // ply entries recorded by makeMove (see _createHistoryEntry)
+        this.drawn = false; // true when the game ended in a draw by rule (see _endInDraw)
+        this.halfmoveClock = 0; // plies since the last pawn move or capture (50-move rule)
+        this.positionCounts = new Map(); // repetition key -> occurrences (threefold repetition)
+        this.hashHi = 0; // Zobrist key halves, see getZobristKey
+        this.hashLo = 0;
+        this._pieceCodes = { white: new Map(), black: new Map() }; // name -> army index, see _pieceCode
+        this.rules = RuleSet.get(rules); // win conditions consulted after each move
+        this.ruleState = null; // rule set bookkeeping (e.g. checks given), replaced never mutated
+        this.ruleResult = null; // {winner, reason} when the rule set ended the game
+        this.drops = !!drops;
+        this.reserves = ChessEngine._emptyReserves(); // drop mode: color -> count per army index, replaced never mutated
+    }
+
+    static _emptyReserves() {
+        return { white: [0, 0, 0, 0, 0, 0], black: [0, 0, 0, 0, 0, 0] };
+    }
+
+    static isValidBoardSize(size) {
+        const inRange = (n) =>
+            Number.isInteger(n) && n >= MIN_BOARD_SIZE && n <= MAX_BOARD_SIZE;
+        return (
+            !!size &&
+            inRange(size.rows) &&
+            inRange(size.cols) &&
+            size.cols % 2 === 0
+        );
+    }
+
+    // Parse "COLSxROWS" (e.g. "10x8" for a Capablanca-style board) into
+    // {rows, cols}; null if the text is malformed or the size unsupported
+    static parseBoardSize(text) {
+        const match = /^(\d+)x(\d+)$/i.exec(String(text).trim());
+        if (!match) return null;
+        const size = { rows: Number(match[2]), cols: Number(match[1]) };
+        return ChessEngine.isValidBoardSize(size) ? size : null;
+    }
+
+    // {rows, cols} for a requested size, falling back to 8x8 (with a
+    // warning) when it is out of range or has an odd number of columns
+    static normalizeBoardSize(size) {
+        if (!size) return { ...DEFAULT_BOARD_SIZE };
+        if (!ChessEngine.isValidBoardSize(size)) {
+            console.warn('Unsupported board size, using 8x8', size);
+            return { ...DEFAULT_BOARD_SIZE };
+        }
+        return { rows: size.rows, cols: size.cols };
+    }
+
+    _emptyBoard() {
+        return Array(this.rows)
+            .fill(null)
+            .map(() => Array(this.cols).fill(null));
+    }
+
+    isOnBoard(row, col) {
+        return row >= 0 && row < this.rows && col >= 0 && col < this.cols;
+    }
+
+    // Row a side promotes on (white moves towards row 0)
+    promotionRow(color) {
+        return color === 'white' ? 0 : this.rows - 1;
+    }
+
+    // Furthest a move can travel; unlimited slides cross the longer side
+    _maxDistance(move) {
+        return move.distance === -1
+            ? Math.max(this.rows, this.cols)
+            : move.distance;
+    }
+
+    // The piece set a side plays with
+    armyFor(color) {
+        return color === 'black' && this.blackPieces
+            ? this.blackPieces
+            : this.pieces;
     }
 
     // Create a shallow-cloned Piece instance and optionally apply a king movement
@@ -158,13 +311,25 @@ class ChessEngine {
 
     // Initialize the board with pieces
     initializeBoard(placement = null) {
+        // Placements generated for another board size resize the board
+        if (placement && placement.rows && placement.cols) {
+            const { rows, cols } = ChessEngine.normalizeBoardSize(placement);
+            this.rows = rows;
+            this.cols = cols;
+        }
+
         // Clear the board
-        this.board = Array(8)
-            .fill(null)
-            .map(() => Array(8).fill(null));
+        this.board = this._emptyBoard();
         this.currentTurn = 'white';
         this.gameOver = false;
         this.lastMove = null;
+        this.resultReason = null;
+        this.moveHistory = [];
+        this.drawn = false;
+        this.halfmoveClock = 0;
+        this.positionCounts = new Map();
+        this.ruleResult = null;
+        this.reserves = ChessEngine._emptyReserves();
 
         // Generate or use provided placement
         if (placement) {
@@ -173,98 +338,91 @@ class ChessEngine {
             this.placement = this.generatePlacement();
         }
 
-        const { remainingPieces, strongestIndex } = this.placement;
-
-        // Build back rank layout: symmetric pairs around royal and strongest piece
-        const backRankPieces = [
-            remainingPieces[0], // A
-            remainingPieces[1], // B
-            remainingPieces[2], // C
-            strongestIndex, // Strong piece
-            0, // Royal (king)
-            remainingPieces[2], // C (mirror)
-            remainingPieces[1], // B (mirror)
-            remainingPieces[0], // A (mirror)
+        const variants = this.placement.kingVariants || {};
+        const sides = [
+            {
+                color: 'white',
+                backRow: this.rows - 1,
+                pawnRow: this.rows - 2,
+            },
+            { color: 'black', backRow: 0, pawnRow: 1 },
         ];
+        for (const { color, backRow, pawnRow } of sides) {
+            const army = this.armyFor(color);
+            // Asymmetric armies carry black's own layout under `black`
+            const layout =
+                color === 'black' && this.placement.black
+                    ? this.placement.black
+                    : this.placement;
+            // Symmetric pairs around the royal and strongest piece
+            // (A B C Strong King C B A on 8 columns)
+            const backRankPieces = PieceGenerator.backRankLayout(
+                layout,
+                this.cols
+            );
 
-        // Place back rank pieces
-        for (let col = 0; col < 8; col++) {
-            const pieceType = backRankPieces[col];
-            // Use per-square clones for royal pieces so each king can have
-            // an independent movement variant when the placement includes
-            // `kingVariants` (sent by the server). For non-royal pieces we
-            // continue to reference the shared piece type object.
-            const isRoyalType =
-                this.pieces[pieceType] && this.pieces[pieceType].royal;
-
-            if (isRoyalType) {
-                const variantBlack =
-                    this.placement && this.placement.kingVariants
-                        ? this.placement.kingVariants.black
-                        : 'normal';
-                const variantWhite =
-                    this.placement && this.placement.kingVariants
-                        ? this.placement.kingVariants.white
-                        : 'normal';
-
-                this.board[0][col] = {
-                    piece: this._clonePieceWithVariant(
-                        this.pieces[pieceType],
-                        variantBlack
-                    ),
-                    color: 'black',
+            // Place back rank pieces. Royals get per-square clones so each
+            // king can have an independent movement variant when the
+            // placement includes `kingVariants` (sent by the server); other
+            // pieces reference the shared piece type object.
+            for (let col = 0; col < this.cols; col++) {
+                const base = army[backRankPieces[col]];
+                this.board[backRow][col] = {
+                    piece:
+                        base && base.royal
+                            ? this._clonePieceWithVariant(
+                                  base,
+                                  variants[color] || 'normal'
+                              )
+                            : base,
+                    color,
                     hasMoved: false,
                 };
+            }
 
-                this.board[7][col] = {
-                    piece: this._clonePieceWithVariant(
-                        this.pieces[pieceType],
-                        variantWhite
-                    ),
-                    color: 'white',
-                    hasMoved: false,
-                };
-            } else {
-                this.board[0][col] = {
-                    piece: this.pieces[pieceType],
-                    color: 'black',
-                    hasMoved: false,
-                };
-                this.board[7][col] = {
-                    piece: this.pieces[pieceType],
-                    color: 'white',
+            // Second rank - all pawns
+            const pawnIndex = 5; // Last piece is always the pawn (index 5)
+            for (let col = 0; col < this.cols; col++) {
+                this.board[pawnRow][col] = {
+                    piece: army[pawnIndex],
+                    color,
                     hasMoved: false,
                 };
             }
         }
 
-        // Second rank - all pawns
-        const pawnIndex = 5; // Last piece is always the pawn (index 5)
-        for (let col = 0; col < 8; col++) {
-            this.board[1][col] = {
-                piece: this.pieces[pawnIndex],
-                color: 'black',
-                hasMoved: false,
-            };
-            this.board[6][col] = {
-                piece: this.pieces[pawnIndex],
-                color: 'white',
-                hasMoved: false,
-            };
-        }
+        this._computeHash();
+        this._recordPosition();
+        this.ruleState = this.rules.initialState(this);
     }
 
-    // Generate placement configuration
-    generatePlacement() {
+    // Generate placement configuration; `shuffle` shuffles the back ranks
+    // (Chess960-style, see PieceGenerator.shuffleBackRank)
+    generatePlacement(shuffle = false) {
         // Use centralized placement generator so server and engine agree
         const placementSeed = this.seed !== null ? this.seed + 1000000 : null;
-        return PieceGenerator.generatePlacement(this.pieces, placementSeed);
+        const size = { rows: this.rows, cols: this.cols };
+        if (this.blackPieces) {
+            return PieceGenerator.generateAsymmetricPlacement(
+                this.pieces,
+                this.blackPieces,
+                placementSeed,
+                size,
+                shuffle
+            );
+        }
+        return PieceGenerator.generatePlacement(
+            this.pieces,
+            placementSeed,
+            size,
+            shuffle
+        );
     }
 
     // Find the king position for a given color
     findKing(color) {
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
                 const square = this.board[row][col];
                 if (square && square.color === color && square.piece.royal) {
                     return { row, col };
@@ -276,8 +434,8 @@ class ChessEngine {
 
     // Check if a square is under attack by the opponent
     isSquareUnderAttack(row, col, byColor) {
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
                 const square = this.board[r][c];
                 if (square && square.color === byColor) {
                     if (this.canPieceAttackSquare(r, c, row, col)) {
@@ -306,7 +464,7 @@ class ChessEngine {
 
             for (const [dx, dy] of steps) {
                 const adjustedDy = dy * direction;
-                const maxDist = move.distance === -1 ? 8 : move.distance;
+                const maxDist = this._maxDistance(move);
 
                 for (let dist = 1; dist <= maxDist; dist++) {
                     const newRow = fromRow + adjustedDy * dist;
@@ -318,8 +476,7 @@ class ChessEngine {
                     if (!Number.isFinite(newRow) || !Number.isFinite(newCol))
                         break;
 
-                    if (newRow < 0 || newRow > 7 || newCol < 0 || newCol > 7)
-                        break;
+                    if (!this.isOnBoard(newRow, newCol)) break;
 
                     // If this is the target square, determine if the move can attack it
                     if (newRow === toRow && newCol === toCol) {
@@ -381,6 +538,61 @@ class ChessEngine {
         return false;
     }
 
+    // Squares the piece at (row, col) could capture on if an enemy stood
+    // there, regardless of what occupies them now. Unlike getPseudoLegalMoves
+    // this includes squares holding friendly pieces (i.e. defended squares),
+    // which makes it suitable for attack maps. With `includeQuiet` the
+    // non-capturing moves count too (the piece's reach, for fog of war).
+    getAttackedSquares(row, col, includeQuiet = false) {
+        const cellData = this.board[row][col];
+        if (!cellData) return [];
+
+        const piece = cellData.piece;
+        const direction = cellData.color === 'white' ? -1 : 1;
+        const attacked = [];
+        const seen = new Set();
+
+        for (const move of piece.moves) {
+            if (move.capture === 'prohibited' && !includeQuiet) continue;
+            if (move.requiresUnmoved && cellData.hasMoved) continue;
+
+            for (const [dx, dy] of move.getSteps()) {
+                const adjustedDy = dy * direction;
+                let maxDist = this._maxDistance(move);
+                // Moved pawns step one square forward (as in
+                // getPseudoLegalMoves)
+                if (
+                    cellData.hasMoved &&
+                    move.capture === 'prohibited' &&
+                    dx === 0 &&
+                    move.distance > 1
+                ) {
+                    maxDist = 1;
+                }
+
+                for (let dist = 1; dist <= maxDist; dist++) {
+                    const newRow = row + adjustedDy * dist;
+                    const newCol = col + dx * dist;
+
+                    if (!Number.isFinite(newRow) || !Number.isFinite(newCol))
+                        break;
+                    if (!this.isOnBoard(newRow, newCol)) break;
+
+                    if (!seen.has(newRow * this.cols + newCol)) {
+                        seen.add(newRow * this.cols + newCol);
+                        attacked.push({ row: newRow, col: newCol });
+                    }
+
+                    // Jumps only reach the first step; slides stop at pieces
+                    if (move.jump === 'required') break;
+                    if (this.board[newRow][newCol] !== null) break;
+                }
+            }
+        }
+
+        return attacked;
+    }
+
     // Check if a color is in check
     isInCheck(color) {
         const king = this.findKing(color);
@@ -409,7 +621,7 @@ class ChessEngine {
                 const adjustedDy = dy * direction;
 
                 // For pawns: limit distance to 1 if already moved (applies to forward moves with distance > 1)
-                let maxDist = move.distance === -1 ? 8 : move.distance;
+                let maxDist = this._maxDistance(move);
                 if (
                     cellData.hasMoved &&
                     move.capture === 'prohibited' &&
@@ -426,8 +638,7 @@ class ChessEngine {
                     if (!Number.isFinite(newRow) || !Number.isFinite(newCol))
                         break;
 
-                    if (newRow < 0 || newRow > 7 || newCol < 0 || newCol > 7)
-                        break;
+                    if (!this.isOnBoard(newRow, newCol)) break;
 
                     const targetCell = this.board[newRow][newCol];
                     const hasObstacle = targetCell !== null;
@@ -509,7 +720,7 @@ class ChessEngine {
                     if (row === enemyRow && Math.abs(col - enemyCol) === 1) {
                         // En passant is possible
                         const captureRow = enemyRow + direction;
-                        if (captureRow >= 0 && captureRow <= 7) {
+                        if (captureRow >= 0 && captureRow < this.rows) {
                             validMoves.push({
                                 row: captureRow,
                                 col: enemyCol,
@@ -521,79 +732,57 @@ class ChessEngine {
                     }
                 }
             } else if (special.type === 'castling' && !cellData.hasMoved) {
-                // Check for castling (kingside and queenside)
+                // Castle with the unmoved piece in either corner; the king
+                // and the corner piece land on the squares from
+                // _castlingSquares. Every square either of them crosses or
+                // lands on must be empty (apart from the two of them) and
+                // the king may not start in, cross or land on an attacked
+                // square.
                 const kingRow = row;
                 const kingCol = col;
-
-                // Kingside castling (columns 5, 6, 7)
-                const kingsideRookCol = 7;
-                const kingsideRook = this.board[kingRow][kingsideRookCol];
-                if (
-                    kingsideRook &&
-                    kingsideRook.color === cellData.color &&
-                    !kingsideRook.hasMoved &&
-                    !this.board[kingRow][kingCol + 1] &&
-                    !this.board[kingRow][kingCol + 2]
-                ) {
-                    // Check that king doesn't move through check
-                    const opponent =
-                        cellData.color === 'white' ? 'black' : 'white';
+                const opponent = cellData.color === 'white' ? 'black' : 'white';
+                for (const [type, rookCol] of [
+                    ['castling-kingside', this.cols - 1],
+                    ['castling-queenside', 0],
+                ]) {
+                    const squares = this._castlingSquares(kingCol, rookCol);
+                    if (!squares) continue;
+                    const { kingTo, rookTo } = squares;
+                    const rook = this.board[kingRow][rookCol];
                     if (
-                        !this.isSquareUnderAttack(kingRow, kingCol, opponent) &&
-                        !this.isSquareUnderAttack(
-                            kingRow,
-                            kingCol + 1,
-                            opponent
-                        ) &&
-                        !this.isSquareUnderAttack(
-                            kingRow,
-                            kingCol + 2,
-                            opponent
-                        )
+                        !rook ||
+                        rook.color !== cellData.color ||
+                        rook.hasMoved
                     ) {
-                        validMoves.push({
-                            row: kingRow,
-                            col: kingCol + 2,
-                            type: 'castling-kingside',
-                            rookFromCol: kingsideRookCol,
-                            rookToCol: kingCol + 1,
-                        });
+                        continue;
                     }
-                }
-
-                // Queenside castling (columns 0, 1, 2, 3, 4)
-                const queensideRookCol = 0;
-                const queensideRook = this.board[kingRow][queensideRookCol];
-                if (
-                    queensideRook &&
-                    queensideRook.color === cellData.color &&
-                    !queensideRook.hasMoved &&
-                    !this.board[kingRow][kingCol - 1] &&
-                    !this.board[kingRow][kingCol - 2] &&
-                    !this.board[kingRow][kingCol - 3]
-                ) {
-                    // Check that king doesn't move through check
-                    const opponent =
-                        cellData.color === 'white' ? 'black' : 'white';
-                    if (
-                        !this.isSquareUnderAttack(kingRow, kingCol, opponent) &&
-                        !this.isSquareUnderAttack(
-                            kingRow,
-                            kingCol - 1,
-                            opponent
-                        ) &&
-                        !this.isSquareUnderAttack(
-                            kingRow,
-                            kingCol - 2,
-                            opponent
-                        )
-                    ) {
+                    const first = Math.min(kingCol, kingTo, rookCol, rookTo);
+                    const last = Math.max(kingCol, kingTo, rookCol, rookTo);
+                    let pathClear = true;
+                    for (let c = first; c <= last; c++) {
+                        if (c === kingCol || c === rookCol) continue;
+                        if (this.board[kingRow][c]) {
+                            pathClear = false;
+                            break;
+                        }
+                    }
+                    if (!pathClear) continue;
+                    const step = kingTo > kingCol ? 1 : -1;
+                    let safe = true;
+                    for (let c = kingCol; ; c += step) {
+                        if (this.isSquareUnderAttack(kingRow, c, opponent)) {
+                            safe = false;
+                            break;
+                        }
+                        if (c === kingTo) break;
+                    }
+                    if (safe) {
                         validMoves.push({
                             row: kingRow,
-                            col: kingCol - 2,
-                            type: 'castling-queenside',
-                            rookFromCol: queensideRookCol,
-                            rookToCol: kingCol - 1,
+                            col: kingTo,
+                            type,
+                            rookFromCol: rookCol,
+                            rookToCol: rookTo,
                         });
                     }
                 }
@@ -603,30 +792,48 @@ class ChessEngine {
         return validMoves;
     }
 
+    // Where the king (on `kingCol`) and the corner piece on `rookCol` land
+    // when castling: {kingTo, rookTo}, or null if they cannot castle. Classic
+    // setups move the king two squares towards the corner, which needs room
+    // short of it, and the corner piece to the square the king crossed.
+    // Shuffled back ranks (placement.chess960) use Chess960's fixed files:
+    // the king ends on the c or second-to-last file and the corner piece
+    // next to it on the inside; a king already there cannot castle that way.
+    _castlingSquares(kingCol, rookCol) {
+        const dir = rookCol > kingCol ? 1 : -1;
+        if (this.placement && this.placement.chess960) {
+            const kingTo = dir > 0 ? this.cols - 2 : 2;
+            if (kingTo === kingCol) return null;
+            return { kingTo, rookTo: kingTo - dir };
+        }
+        if (Math.abs(rookCol - kingCol) <= 2) return null;
+        return { kingTo: kingCol + 2 * dir, rookTo: kingCol + dir };
+    }
+
     // Get all valid moves for a piece at a position (filters out moves that leave king in check)
     getValidMoves(row, col) {
         const pseudoLegalMoves = this.getPseudoLegalMoves(row, col);
         const cellData = this.board[row][col];
         if (!cellData) return [];
+        // Rule sets where the royal can be captured allow every move
+        if (!this.rules.checkRules) return pseudoLegalMoves;
 
         // Filter out moves that would leave own king in check
         const legalMoves = [];
         for (const move of pseudoLegalMoves) {
             // Simulate the move
             const originalTarget = this.board[move.row][move.col];
-            const originalRook = null;
-            let rookFromCol = null;
-
-            // Handle castling - move the rook during simulation
-            if (
+            const isCastling =
                 move.type === 'castling-kingside' ||
-                move.type === 'castling-queenside'
-            ) {
-                rookFromCol = move.rookFromCol;
-                const originalRookCell = this.board[row][rookFromCol];
-                this.board[row][move.rookToCol] = originalRookCell;
-                this.board[row][rookFromCol] = null;
-            }
+                move.type === 'castling-queenside';
+            // The corner piece may land on the king's start square
+            // (shuffled back ranks), so it moves after the king
+            const originalRookCell = isCastling
+                ? this.board[row][move.rookFromCol]
+                : null;
+            const originalRookTarget = isCastling
+                ? this.board[row][move.rookToCol]
+                : null;
 
             // Handle en passant - remove captured pawn during simulation
             if (move.type === 'en-passant') {
@@ -642,28 +849,28 @@ class ChessEngine {
             };
             this.board[row][col] = null;
 
+            // Handle castling - move the rook during simulation
+            if (isCastling) {
+                this.board[row][move.rookFromCol] = null;
+                this.board[row][move.rookToCol] = originalRookCell;
+            }
+
             // Check if this leaves our king in check
             const inCheck = this.isInCheck(cellData.color);
 
-            // Undo the move
+            // Undo castling, then the move
+            if (isCastling) {
+                this.board[row][move.rookToCol] = originalRookTarget;
+                this.board[row][move.rookFromCol] = originalRookCell;
+            }
             this.board[row][col] = cellData;
             this.board[move.row][move.col] = originalTarget;
 
-            // Undo castling
-            if (
-                move.type === 'castling-kingside' ||
-                move.type === 'castling-queenside'
-            ) {
-                const originalRookCell = this.board[row][move.rookToCol];
-                this.board[row][rookFromCol] = originalRookCell;
-                this.board[row][move.rookToCol] = null;
-            }
-
             // Undo en passant
             if (move.type === 'en-passant') {
                 const capturedPawnColor =
                     cellData.color === 'white' ? 'black' : 'white';
-                const pawnPiece = this.pieces.find((p) =>
+                const pawnPiece = this.armyFor(capturedPawnColor).find((p) =>
                     p.specials.some((s) => s.type === 'enPassant')
                 );
                 this.board[move.captureRow][move.captureCol] = {
@@ -700,7 +907,7 @@ class ChessEngine {
                 const adjustedDy = dy * direction;
 
                 // For pawns: limit distance to 1 if already moved
-                let maxDist = move.distance === -1 ? 8 : move.distance;
+                let maxDist = this._maxDistance(move);
                 if (
                     cellData.hasMoved &&
                     move.capture === 'prohibited' &&
@@ -717,8 +924,7 @@ class ChessEngine {
                     if (!Number.isFinite(newRow) || !Number.isFinite(newCol))
                         break;
 
-                    if (newRow < 0 || newRow > 7 || newCol < 0 || newCol > 7)
-                        break;
+                    if (!this.isOnBoard(newRow, newCol)) break;
 
                     const key = `${newRow},${newCol}`;
                     if (!moveSquares.has(key)) {
@@ -816,12 +1022,62 @@ class ChessEngine {
         return moveSquares;
     }
 
+    // Fog of war: keys ("row,col") of the squares `color` can see, i.e. the
+    // squares its pieces stand on and reach with any move, up to and
+    // including the first piece on each line. Visibility therefore depends
+    // only on what is in view: a view from fogView sees the same squares.
+    getVisibleSquares(color) {
+        const visible = new Set();
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const cell = this.board[row][col];
+                if (!cell || cell.color !== color) continue;
+                visible.add(`${row},${col}`);
+                for (const square of this.getAttackedSquares(row, col, true)) {
+                    visible.add(`${square.row},${square.col}`);
+                }
+            }
+        }
+        return visible;
+    }
+
+    // Copy of the position as `color` sees it under fog of war: unseen
+    // squares are empty, the last move is kept only when both its squares
+    // are in view and the other side's plies are recorded as '?'
+    fogView(color) {
+        const view = this.clone();
+        const visible = this.getVisibleSquares(color);
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (!visible.has(`${row},${col}`)) view.board[row][col] = null;
+            }
+        }
+        const last = this.lastMove;
+        if (
+            last &&
+            !(
+                visible.has(`${last.fromRow},${last.fromCol}`) &&
+                visible.has(`${last.toRow},${last.toCol}`)
+            )
+        ) {
+            view.lastMove = null;
+        }
+        view.moveHistory = view.moveHistory.map((entry) =>
+            entry.color === color
+                ? entry
+                : { color: entry.color, notation: '?' }
+        );
+        view.positionCounts = new Map();
+        view._computeHash();
+        return view;
+    }
+
     // Get all possible moves for a color
     getAllMoves(color) {
         const moves = [];
 
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
                 const square = this.board[row][col];
                 if (square && square.color === color) {
                     const pieceMoves = this.getValidMoves(row, col);
@@ -831,15 +1087,201 @@ class ChessEngine {
                             fromCol: col,
                             toRow: move.row,
                             toCol: move.col,
+                            isCapture:
+                                !!this.board[move.row][move.col] ||
+                                move.type === 'en-passant',
                         });
                     }
                 }
             }
         }
 
+        if (this.drops) moves.push(...this.getDropMoves(color));
+        return moves;
+    }
+
+    // Drop moves for `color` in drop mode: {drop, fromRow: null, fromCol:
+    // null, toRow, toCol, isCapture: false} per reserve piece type and empty
+    // square, where `drop` is the army index. Pawns may not be dropped on
+    // either back rank. A drop can't expose the royal, so drops are only
+    // tested for legality while in check.
+    getDropMoves(color) {
+        const moves = [];
+        if (!this.drops) return moves;
+        const reserve = this.reserves[color];
+        const army = this.armyFor(color);
+        const inCheck = this.rules.checkRules && this.isInCheck(color);
+        for (let index = 0; index < reserve.length; index++) {
+            if (reserve[index] === 0) continue;
+            for (let row = 0; row < this.rows; row++) {
+                if (index === 5 && (row === 0 || row === this.rows - 1))
+                    continue;
+                for (let col = 0; col < this.cols; col++) {
+                    if (this.board[row][col]) continue;
+                    if (inCheck) {
+                        this.board[row][col] = {
+                            piece: army[index],
+                            color,
+                            hasMoved: true,
+                        };
+                        const stillInCheck = this.isInCheck(color);
+                        this.board[row][col] = null;
+                        if (stillInCheck) continue;
+                    }
+                    moves.push({
+                        drop: index,
+                        fromRow: null,
+                        fromCol: null,
+                        toRow: row,
+                        toCol: col,
+                        isCapture: false,
+                    });
+                }
+            }
+        }
         return moves;
     }
 
+    // Play a move object from getAllMoves or findMoveByNotation (a board
+    // move or a drop) with full validation
+    playMove(move) {
+        if (Number.isInteger(move.drop)) {
+            return this.makeDrop(move.drop, move.toRow, move.toCol);
+        }
+        return this.makeMove(
+            move.fromRow,
+            move.fromCol,
+            move.toRow,
+            move.toCol
+        );
+    }
+
+    // Unvalidated counterpart of playMove for search; returns the snapshot
+    // for undoMove
+    playMoveUnsafe(move, promotionIndex = 0) {
+        if (Number.isInteger(move.drop)) {
+            return this.makeDropUnsafe(move.drop, move.toRow, move.toCol);
+        }
+        return this.makeMoveUnsafe(
+            move.fromRow,
+            move.fromCol,
+            move.toRow,
+            move.toCol,
+            promotionIndex
+        );
+    }
+
+    // Drop a reserve piece (army index `index`) on an empty square as the
+    // side to move's turn. Returns true if successful, false if invalid.
+    makeDrop(index, row, col) {
+        if (this.gameOver || this.pendingPromotion) {
+            console.warn('Cannot drop now');
+            return false;
+        }
+        const valid = this.getDropMoves(this.currentTurn).some(
+            (m) => m.drop === index && m.toRow === row && m.toCol === col
+        );
+        if (!valid) {
+            console.warn('Invalid drop');
+            return false;
+        }
+
+        const mover = this.currentTurn;
+        const historyEntry = this._createDropEntry(index, row, col);
+        this._placeDrop(index, row, col);
+        this.currentTurn = mover === 'white' ? 'black' : 'white';
+        this._computeHash();
+
+        if (!this._applyRuleSet(mover)) this._checkNoMoves();
+        this._applyDrawRules();
+        this._recordHistoryEntry(historyEntry);
+        return true;
+    }
+
+    // Apply a drop without validation and return a snapshot for undoMove
+    makeDropUnsafe(index, row, col) {
+        const snapshot = {
+            fromRow: null,
+            fromCol: null,
+            toRow: row,
+            toCol: col,
+            fromCell: null,
+            toCell: null,
+            lastMovePrev: this.lastMove ? { ...this.lastMove } : null,
+            pendingPromotionPrev: null,
+            currentTurnPrev: this.currentTurn,
+            gameOverPrev: this.gameOver,
+            drawnPrev: this.drawn,
+            resultReasonPrev: this.resultReason,
+            ruleResultPrev: this.ruleResult,
+            ruleStatePrev: this.ruleState,
+            reservesPrev: this.reserves,
+            halfmoveClockPrev: this.halfmoveClock,
+            hashHiPrev: this.hashHi,
+            hashLoPrev: this.hashLo,
+            rookSnapshot: null,
+            enPassantCaptured: null,
+        };
+
+        const mover = this.currentTurn;
+        this._toggleEnPassant();
+        this._placeDrop(index, row, col);
+        this.currentTurn = mover === 'white' ? 'black' : 'white';
+        this._toggleCell(this.board[row][col], row, col);
+        this._toggleSideToMove();
+        this._toggleEnPassant();
+
+        this.gameOver = false;
+        if (!this._applyRuleSet(mover)) this._checkNoMoves();
+
+        return snapshot;
+    }
+
+    // Shared drop bookkeeping: take the piece from the reserve, place it
+    // and update the last move and 50-move clock (pawn drops reset it).
+    // A pawn dropped on its starting rank may still make its first move.
+    _placeDrop(index, row, col) {
+        const color = this.currentTurn;
+        const piece = this.armyFor(color)[index];
+        this._changeReserve(color, index, -1);
+        const pawnRow = color === 'white' ? this.rows - 2 : 1;
+        this.board[row][col] = {
+            piece,
+            color,
+            hasMoved: !(index === 5 && row === pawnRow),
+        };
+        this.lastMove = {
+            fromRow: row,
+            fromCol: col,
+            toRow: row,
+            toCol: col,
+            piece,
+        };
+        if (index === 5) this.halfmoveClock = 0;
+        else this.halfmoveClock++;
+    }
+
+    // Drop mode: a captured piece joins the captor's reserve as the piece in
+    // the same army slot (its own type unless armies are asymmetric).
+    // Royals are never banked, upgraded pieces return to their base type and
+    // promoted pieces (cells marked `promoted`) to the pawn they started as.
+    _bankCapture(captor, cell) {
+        if (!this.drops || !cell || cell.piece.royal) return;
+        const index = cell.promoted
+            ? 5
+            : this._armyIndex(cell.piece, cell.color);
+        if (index >= 0) this._changeReserve(captor, index, 1);
+    }
+
+    // Change a reserve count, keeping the Zobrist key current
+    _changeReserve(color, index, delta) {
+        this._toggleReserve(color, index);
+        const counts = [...this.reserves[color]];
+        counts[index] += delta;
+        this.reserves = { ...this.reserves, [color]: counts };
+        this._toggleReserve(color, index);
+    }
+
     // Make a move (returns true if successful, false if invalid)
     makeMove(fromRow, fromCol, toRow, toCol) {
         const cellData = this.board[fromRow][fromCol];
@@ -865,33 +1307,47 @@ class ChessEngine {
         }
 
         const captured = this.board[toRow][toCol];
+        const historyEntry = this._createHistoryEntry(
+            fromRow,
+            fromCol,
+            moveData
+        );
 
         // Handle special moves
         if (moveData.type === 'en-passant') {
             // Remove the captured pawn
+            this._bankCapture(
+                cellData.color,
+                this.board[moveData.captureRow][moveData.captureCol]
+            );
             this.board[moveData.captureRow][moveData.captureCol] = null;
-        } else if (
+        }
+
+        // Move the piece
+        this._bankCapture(cellData.color, captured);
+        this.board[toRow][toCol] = {
+            piece: cellData.piece,
+            color: cellData.color,
+            hasMoved: true,
+        };
+        if (cellData.promoted) this.board[toRow][toCol].promoted = true;
+        this.board[fromRow][fromCol] = null;
+
+        if (
             moveData.type === 'castling-kingside' ||
             moveData.type === 'castling-queenside'
         ) {
-            // Move the rook
+            // Move the rook after the king: on a shuffled back rank it can
+            // land on the king's start square
             const rook = this.board[fromRow][moveData.rookFromCol];
+            this.board[fromRow][moveData.rookFromCol] = null;
             this.board[fromRow][moveData.rookToCol] = {
                 piece: rook.piece,
                 color: rook.color,
                 hasMoved: true,
             };
-            this.board[fromRow][moveData.rookFromCol] = null;
         }
 
-        // Move the piece
-        this.board[toRow][toCol] = {
-            piece: cellData.piece,
-            color: cellData.color,
-            hasMoved: true,
-        };
-        this.board[fromRow][fromCol] = null;
-
         // Track last move for en passant
         this.lastMove = {
             fromRow,
@@ -901,8 +1357,15 @@ class ChessEngine {
             piece: cellData.piece,
         };
 
-        // Check for promotion (white promotes on rank 0, black on rank 7)
-        const promotionRank = cellData.color === 'white' ? 0 : 7;
+        // Pawn moves and captures reset the 50-move clock
+        if (historyEntry.isPawn || historyEntry.captured) {
+            this.halfmoveClock = 0;
+        } else {
+            this.halfmoveClock++;
+        }
+
+        // Check for promotion (white promotes on row 0, black on the last row)
+        const promotionRank = this.promotionRow(cellData.color);
         if (cellData.piece.promotionRank !== -1 && toRow === promotionRank) {
             if (cellData.piece.promotionType === 'choice') {
                 // Pawn promotion - player must choose
@@ -912,7 +1375,11 @@ class ChessEngine {
                     color: cellData.color,
                     promotionPieces: cellData.piece.promotionPieces,
                 };
-                // Don't switch turns yet - wait for promotion choice
+                // Don't switch turns yet - wait for promotion choice.
+                // The history entry is finished by completePromotion.
+                this._computeHash();
+                historyEntry.notation = this._formatNotation(historyEntry);
+                this.moveHistory.push(historyEntry);
                 return true;
             } else if (cellData.piece.promotionType === 'move-upgrade') {
                 // Automatic move upgrade promotion
@@ -952,24 +1419,35 @@ class ChessEngine {
                 );
 
                 this.board[toRow][toCol].piece = upgradedPiece;
+                historyEntry.upgraded = true;
             }
         }
 
         // Switch turns
+        const mover = this.currentTurn;
         this.currentTurn = this.currentTurn === 'white' ? 'black' : 'white';
+        this._computeHash();
+
+        // Rule set wins (royal capture, king of the hill, ...) come first
+        if (this._applyRuleSet(mover)) {
+            this._applyDrawRules();
+            this._recordHistoryEntry(historyEntry);
+            return true;
+        }
 
         // If this move captured a piece (normal capture or en-passant),
         // and there are currently no pawns on the board, run the
-        // aggressive insufficient-material detector. This is intended to
-        // run when the last pawn is captured and on every subsequent
-        // capture thereafter.
+        // insufficient-material detector. This is intended to run when the
+        // last pawn is captured and on every subsequent capture thereafter.
+        // In drop mode captures refill the reserves, so material never runs
+        // out.
         try {
             const wasCapture = captured !== null || moveData.type === 'en-passant';
-            if (wasCapture) {
+            if (wasCapture && !this.drops) {
                 if (this._countPawnsOnBoard() === 0) {
-                    if (this._detectInsufficientMaterialAggressive()) {
-                        this.resultReason = 'Insufficient material';
-                        this.gameOver = true;
+                    if (this._detectInsufficientMaterial()) {
+                        this._endInDraw('Insufficient material');
+                        this._recordHistoryEntry(historyEntry);
                         return true;
                     }
                 }
@@ -979,37 +1457,17 @@ class ChessEngine {
         }
 
         // Check for checkmate or stalemate
-        if (this.getAllMoves(this.currentTurn).length === 0) {
-            this.gameOver = true;
-            // If in check and no moves, it's checkmate
-            // If not in check and no moves, it's stalemate (draw)
-        }
-
-        // If this was a capture (en-passant or normal capture) and no pawns
-        // remain on the board, run the aggressive insufficient-material
-        // detector so we can end the game as a draw with a reason.
-        try {
-            const wasCapture = snapshot && snapshot.toCell && snapshot.toCell !== null;
-            // also consider en-passant which is stored in snapshot.enPassantCaptured
-            const epCaptured = snapshot && snapshot.enPassantCaptured;
-            if (wasCapture || epCaptured) {
-                if (this._countPawnsOnBoard() === 0) {
-                    if (this._detectInsufficientMaterialAggressive()) {
-                        this.resultReason = 'Insufficient material';
-                        this.gameOver = true;
-                    }
-                }
-            }
-        } catch (e) {
-            /* ignore detection errors */
-        }
+        this._checkNoMoves();
 
+        this._applyDrawRules();
+        this._recordHistoryEntry(historyEntry);
         return true;
     }
 
     // Apply a move without validation and return a snapshot for undo.
     // The AI will use this for fast in-place search and then call `undoMove(snapshot)`.
-    makeMoveUnsafe(fromRow, fromCol, toRow, toCol) {
+    // Choice promotions resolve to `promotionIndex` (default: first option).
+    makeMoveUnsafe(fromRow, fromCol, toRow, toCol, promotionIndex = 0) {
         const snapshot = {
             fromRow,
             fromCol,
@@ -1027,6 +1485,14 @@ class ChessEngine {
                 : null,
             currentTurnPrev: this.currentTurn,
             gameOverPrev: this.gameOver,
+            drawnPrev: this.drawn,
+            resultReasonPrev: this.resultReason,
+            ruleResultPrev: this.ruleResult,
+            ruleStatePrev: this.ruleState,
+            reservesPrev: this.reserves,
+            halfmoveClockPrev: this.halfmoveClock,
+            hashHiPrev: this.hashHi,
+            hashLoPrev: this.hashLo,
             rookSnapshot: null,
             enPassantCaptured: null,
         };
@@ -1034,6 +1500,12 @@ class ChessEngine {
         const cellData = this.board[fromRow][fromCol];
         if (!cellData) return snapshot;
 
+        // Update the Zobrist key incrementally: take out the old en-passant
+        // state and the moving/captured pieces now, add the results below
+        this._toggleEnPassant();
+        this._toggleCell(cellData, fromRow, fromCol);
+        this._toggleCell(this.board[toRow][toCol], toRow, toCol);
+
         // Determine the exact move data (if available) to handle specials like en-passant / castling
         const validMoves = this.getValidMoves(fromRow, fromCol);
         const moveData = validMoves.find(
@@ -1053,10 +1525,17 @@ class ChessEngine {
                       }
                     : null,
             };
+            this._toggleCell(
+                snapshot.enPassantCaptured.cell,
+                moveData.captureRow,
+                moveData.captureCol
+            );
+            this._bankCapture(cellData.color, snapshot.enPassantCaptured.cell);
             this.board[moveData.captureRow][moveData.captureCol] = null;
         }
 
-        // Handle castling rook movement
+        // Record the castling rook squares before the king moves (the rook
+        // can land on the king's start square on shuffled back ranks)
         if (
             moveData.type === 'castling-kingside' ||
             moveData.type === 'castling-queenside'
@@ -1074,22 +1553,39 @@ class ChessEngine {
                     ? { ...this.board[fromRow][rookToCol] }
                     : null,
             };
-            // Move the rook
-            const rook = this.board[fromRow][rookFromCol];
-            this.board[fromRow][rookToCol] = rook
-                ? { ...rook, hasMoved: true }
-                : null;
-            this.board[fromRow][rookFromCol] = null;
         }
 
         // Move the piece
+        this._bankCapture(cellData.color, snapshot.toCell);
         this.board[toRow][toCol] = {
             piece: cellData.piece,
             color: cellData.color,
             hasMoved: true,
         };
+        if (cellData.promoted) this.board[toRow][toCol].promoted = true;
         this.board[fromRow][fromCol] = null;
 
+        // Handle castling rook movement
+        if (snapshot.rookSnapshot) {
+            const { rookFromCol, rookToCol } = snapshot.rookSnapshot;
+            const rook = this.board[fromRow][rookFromCol];
+            this._toggleCell(rook, fromRow, rookFromCol);
+            this._toggleCell(
+                this.board[fromRow][rookToCol],
+                fromRow,
+                rookToCol
+            );
+            this.board[fromRow][rookFromCol] = null;
+            this.board[fromRow][rookToCol] = rook
+                ? { ...rook, hasMoved: true }
+                : null;
+            this._toggleCell(
+                this.board[fromRow][rookToCol],
+                fromRow,
+                rookToCol
+            );
+        }
+
         // Track last move for en passant
         this.lastMove = {
             fromRow,
@@ -1099,14 +1595,25 @@ class ChessEngine {
             piece: cellData.piece,
         };
 
-        // Handle promotion (automatically resolve choice promotions to first option for search)
-        const promotionRank = cellData.color === 'white' ? 0 : 7;
+        // Keep the 50-move clock current so search can score it as a draw
+        const isPawn = cellData.piece.specials.some(
+            (s) => s.type === 'enPassant'
+        );
+        if (isPawn || snapshot.toCell || snapshot.enPassantCaptured) {
+            this.halfmoveClock = 0;
+        } else {
+            this.halfmoveClock++;
+        }
+
+        // Handle promotion (choice promotions resolve without waiting for input)
+        const promotionRank = this.promotionRow(cellData.color);
         if (cellData.piece.promotionRank !== -1 && toRow === promotionRank) {
             if (cellData.piece.promotionType === 'choice') {
-                // Auto-promote to first choice for deterministic search
                 const promotionPieces = cellData.piece.promotionPieces || [];
                 if (promotionPieces.length > 0) {
-                    this.board[toRow][toCol].piece = promotionPieces[0];
+                    this.board[toRow][toCol].piece =
+                        promotionPieces[promotionIndex] || promotionPieces[0];
+                    if (this.drops) this.board[toRow][toCol].promoted = true;
                 }
             } else if (cellData.piece.promotionType === 'move-upgrade') {
                 let upgradedMoves = [];
@@ -1147,13 +1654,13 @@ class ChessEngine {
 
         // Switch turns
         this.currentTurn = this.currentTurn === 'white' ? 'black' : 'white';
+        this._toggleCell(this.board[toRow][toCol], toRow, toCol);
+        this._toggleSideToMove();
+        this._toggleEnPassant();
 
-        // Check for checkmate or stalemate
-        if (this.getAllMoves(this.currentTurn).length === 0) {
-            this.gameOver = true;
-        } else {
-            this.gameOver = false;
-        }
+        // Check for a rule set result, then checkmate or stalemate
+        this.gameOver = false;
+        if (!this._applyRuleSet(cellData.color)) this._checkNoMoves();
 
         return snapshot;
     }
@@ -1164,10 +1671,12 @@ class ChessEngine {
 
         const { fromRow, fromCol, toRow, toCol } = snapshot;
 
-        // Restore original from/to cells
-        this.board[fromRow][fromCol] = snapshot.fromCell
-            ? { ...snapshot.fromCell }
-            : null;
+        // Restore original from/to cells (drops have no from cell)
+        if (fromRow !== null) {
+            this.board[fromRow][fromCol] = snapshot.fromCell
+                ? { ...snapshot.fromCell }
+                : null;
+        }
         this.board[toRow][toCol] = snapshot.toCell
             ? { ...snapshot.toCell }
             : null;
@@ -1198,6 +1707,14 @@ class ChessEngine {
             : null;
         this.currentTurn = snapshot.currentTurnPrev;
         this.gameOver = snapshot.gameOverPrev;
+        this.drawn = snapshot.drawnPrev;
+        this.resultReason = snapshot.resultReasonPrev;
+        this.ruleResult = snapshot.ruleResultPrev;
+        this.ruleState = snapshot.ruleStatePrev;
+        this.reserves = snapshot.reservesPrev;
+        this.halfmoveClock = snapshot.halfmoveClockPrev;
+        this.hashHi = snapshot.hashHiPrev;
+        this.hashLo = snapshot.hashLoPrev;
     }
 
     // Complete a pending promotion choice
@@ -1207,36 +1724,398 @@ class ChessEngine {
             return false;
         }
 
-        const { row, col, promotionPieces } = this.pendingPromotion;
+        const { row, col, color, promotionPieces } = this.pendingPromotion;
 
         if (pieceIndex < 0 || pieceIndex >= promotionPieces.length) {
             console.warn('Invalid promotion piece index');
             return false;
         }
 
-        // Promote to chosen piece
+        // Promote to chosen piece (drop mode banks it as a pawn if captured)
         this.board[row][col].piece = promotionPieces[pieceIndex];
+        if (this.drops) this.board[row][col].promoted = true;
         this.pendingPromotion = null;
 
         // Switch turns
         this.currentTurn = this.currentTurn === 'white' ? 'black' : 'white';
+        this._computeHash();
 
-        // Check for checkmate or stalemate
-        if (this.getAllMoves(this.currentTurn).length === 0) {
-            this.gameOver = true;
+        // Check for a rule set result, then checkmate or stalemate
+        if (!this._applyRuleSet(color)) this._checkNoMoves();
+
+        this._applyDrawRules();
+
+        const entry = this.moveHistory[this.moveHistory.length - 1];
+        if (entry && entry.toRow === row && entry.toCol === col) {
+            entry.promotion = promotionPieces[pieceIndex].name;
+            entry.promotionIndex = pieceIndex;
+            this._recordHistoryEntry(entry, false);
         }
 
         return true;
     }
 
+    // Algebraic name for a square: files a, b, ... left to right, row 0 is
+    // the highest rank (rank 8 on an 8x8 board)
+    squareName(row, col) {
+        return String.fromCharCode(97 + col) + (this.rows - row);
+    }
+
+    // Build a history entry for a validated move before it is applied, while
+    // the board still shows which other pieces could reach the same square.
+    _createHistoryEntry(fromRow, fromCol, moveData) {
+        const cellData = this.board[fromRow][fromCol];
+        const toRow = moveData.row;
+        const toCol = moveData.col;
+        let capturedCell = this.board[toRow][toCol];
+        if (moveData.type === 'en-passant') {
+            capturedCell = this.board[moveData.captureRow][moveData.captureCol];
+        }
+
+        let castling = null;
+        if (moveData.type === 'castling-kingside') castling = 'kingside';
+        if (moveData.type === 'castling-queenside') castling = 'queenside';
+
+        const isPawn = cellData.piece.specials.some(
+            (s) => s.type === 'enPassant'
+        );
+
+        // Disambiguate when another identical piece can reach the target:
+        // prefer the file, then the rank, then both (as in standard SAN).
+        let disambiguation = '';
+        if (!isPawn && !castling) {
+            const rivals = [];
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) {
+                    if (r === fromRow && c === fromCol) continue;
+                    const other = this.board[r][c];
+                    if (
+                        !other ||
+                        other.color !== cellData.color ||
+                        other.piece.name !== cellData.piece.name
+                    ) {
+                        continue;
+                    }
+                    const reaches = this.getValidMoves(r, c).some(
+                        (m) => m.row === toRow && m.col === toCol
+                    );
+                    if (reaches) rivals.push({ row: r, col: c });
+                }
+            }
+            if (rivals.length > 0) {
+                const square = this.squareName(fromRow, fromCol);
+                if (!rivals.some((p) => p.col === fromCol)) {
+                    disambiguation = square[0];
+                } else if (!rivals.some((p) => p.row === fromRow)) {
+                    disambiguation = square.slice(1);
+                } else {
+                    disambiguation = square;
+                }
+            }
+        }
+
+        return {
+            fromRow,
+            fromCol,
+            toRow,
+            toCol,
+            color: cellData.color,
+            piece: cellData.piece.name,
+            isPawn,
+            captured: capturedCell ? capturedCell.piece.name : null,
+            castling,
+            enPassant: moveData.type === 'en-passant',
+            promotion: null, // symbol chosen on a 'choice' promotion
+            promotionIndex: null,
+            upgraded: false, // automatic 'move-upgrade' promotion
+            disambiguation,
+            check: false,
+            checkmate: false,
+            notation: '',
+        };
+    }
+
+    // History entry for a drop of army index `index` by the side to move
+    _createDropEntry(index, row, col) {
+        const piece = this.armyFor(this.currentTurn)[index];
+        return {
+            fromRow: null,
+            fromCol: null,
+            toRow: row,
+            toCol: col,
+            color: this.currentTurn,
+            piece: piece.name,
+            isPawn: index === 5,
+            drop: index,
+            captured: null,
+            castling: null,
+            enPassant: false,
+            promotion: null,
+            promotionIndex: null,
+            upgraded: false,
+            disambiguation: '',
+            check: false,
+            checkmate: false,
+            notation: '',
+        };
+    }
+
+    // Fill in check/mate flags once the move is complete and (optionally)
+    // append the entry to the history
+    _recordHistoryEntry(entry, append = true) {
+        entry.check = this.isInCheck(this.currentTurn);
+        entry.checkmate = this.isCheckmate();
+        entry.notation = this._formatNotation(entry);
+        if (append) this.moveHistory.push(entry);
+    }
+
+    // SAN-like notation using the generated piece symbols, e.g. '✪xe5+'.
+    // Pawns omit their symbol, '=X' marks a promotion choice and '^' marks
+    // an automatic move upgrade. Drops are the symbol, '@' and the square.
+    _formatNotation(entry) {
+        let text;
+        if (Number.isInteger(entry.drop)) {
+            text =
+                entry.piece + '@' + this.squareName(entry.toRow, entry.toCol);
+        } else if (entry.castling) {
+            text = entry.castling === 'kingside' ? 'O-O' : 'O-O-O';
+        } else {
+            const target = this.squareName(entry.toRow, entry.toCol);
+            const capture = entry.captured ? 'x' : '';
+            if (entry.isPawn) {
+                const file = this.squareName(entry.fromRow, entry.fromCol)[0];
+                text = (capture ? file + capture : '') + target;
+            } else {
+                text = entry.piece + entry.disambiguation + capture + target;
+            }
+            if (entry.promotion) text += '=' + entry.promotion;
+            else if (entry.upgraded) text += '^';
+        }
+        if (entry.checkmate) text += '#';
+        else if (entry.check) text += '+';
+        return text;
+    }
+
+    // Find the legal move for the side to move whose notation matches `text`.
+    // Check marks and any '=X' promotion choice are ignored when matching;
+    // returns {fromRow, fromCol, toRow, toCol} (plus `drop` for drops, see
+    // getDropMoves) or null.
+    findMoveByNotation(text) {
+        const wanted = String(text)
+            .replace(/[+#]+$/, '')
+            .replace(/=.*$/, '');
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const square = this.board[row][col];
+                if (!square || square.color !== this.currentTurn) continue;
+                const promotionRank = this.promotionRow(square.color);
+                for (const moveData of this.getValidMoves(row, col)) {
+                    const entry = this._createHistoryEntry(row, col, moveData);
+                    entry.upgraded =
+                        square.piece.promotionType === 'move-upgrade' &&
+                        square.piece.promotionRank !== -1 &&
+                        moveData.row === promotionRank;
+                    if (this._formatNotation(entry) === wanted) {
+                        return {
+                            fromRow: row,
+                            fromCol: col,
+                            toRow: moveData.row,
+                            toCol: moveData.col,
+                        };
+                    }
+                }
+            }
+        }
+        for (const move of this.getDropMoves(this.currentTurn)) {
+            const entry = this._createDropEntry(
+                move.drop,
+                move.toRow,
+                move.toCol
+            );
+            if (this._formatNotation(entry) === wanted) return move;
+        }
+        return null;
+    }
+
+    // Update the rule set's bookkeeping for `mover`'s completed move and ask
+    // whether it ended the game; returns true (result recorded) when it did
+    _applyRuleSet(mover) {
+        this.rules.afterMove(this, mover);
+        const result = this.rules.result(this, mover);
+        if (!result) return false;
+        this._endByRule(result);
+        return true;
+    }
+
+    // End the game when the side to move has no legal moves. The rule set
+    // may decide the result; otherwise it is checkmate or stalemate.
+    _checkNoMoves() {
+        if (this.getAllMoves(this.currentTurn).length > 0) return;
+        this.gameOver = true;
+        const result = this.rules.noMovesResult(this);
+        if (result) this._endByRule(result);
+    }
+
+    // End the game with a rule set result {winner, reason}
+    _endByRule(result) {
+        this.gameOver = true;
+        this.ruleResult = result;
+        this.drawn = result.winner === 'draw';
+        this.resultReason = result.reason;
+    }
+
+    // End the game as a draw by rule (repetition, 50-move, material)
+    _endInDraw(reason) {
+        this.gameOver = true;
+        this.drawn = true;
+        this.resultReason = reason;
+    }
+
+    // Key identifying a position for repetition: board, side to move and
+    // en-passant state (only when the last move was a pawn double step)
+    getRepetitionKey() {
+        return this.getZobristKey();
+    }
+
+    // 53-bit Zobrist key (safe integer) combining both 32-bit halves. Covers
+    // piece identity (upgraded pieces included), color, hasMoved, side to
+    // move and en-passant state, plus rule state that can change the
+    // outcome (three-check counts), which isn't kept in hashHi/hashLo.
+    getZobristKey() {
+        let hi = this.hashHi;
+        let lo = this.hashLo;
+        const state = this.rules.stateKey(this.ruleState) % RULE_STATE_KEYS;
+        if (state > 0) {
+            hi ^= ZOBRIST_RULE_STATE[2 * state];
+            lo ^= ZOBRIST_RULE_STATE[2 * state + 1];
+        }
+        return (hi & 0x1fffff) * 4294967296 + (lo >>> 0);
+    }
+
+    // Stable per-set code for a piece: its index in its side's army, with
+    // royal clones mapped back to their base and upgraded pieces offset by
+    // the set size so they hash differently from the piece they upgraded
+    // from. Colors hash separately, so each army can use its own indices.
+    // Indices are cached by name: upgrades are new objects every time, so
+    // caching by object would grow with every upgrade searched.
+    _pieceCode(piece, color) {
+        const army = this.armyFor(color);
+        const names = this._pieceCodes[color];
+        let index = names.get(piece.name);
+        if (index === undefined) {
+            index = army.findIndex((p) => p.name === piece.name);
+            names.set(piece.name, index);
+        }
+        return piece.royal || piece === army[index]
+            ? index
+            : index + army.length;
+    }
+
+    // XOR a cell in or out of the hash
+    _toggleCell(cell, row, col) {
+        if (!cell) return;
+        const keys = zobristPieceKeys(this._pieceCode(cell.piece, cell.color));
+        const i =
+            ((cell.color === 'white' ? 0 : 2) + (cell.hasMoved ? 1 : 0)) *
+                ZOBRIST_SQUARES +
+            row * 16 +
+            col;
+        this.hashHi ^= keys[2 * i];
+        this.hashLo ^= keys[2 * i + 1];
+        if (cell.promoted) {
+            const square = row * 16 + col;
+            this.hashHi ^= ZOBRIST_PROMOTED[2 * square];
+            this.hashLo ^= ZOBRIST_PROMOTED[2 * square + 1];
+        }
+    }
+
+    // XOR the en-passant file in or out when the last move was a double step
+    _toggleEnPassant() {
+        const lm = this.lastMove;
+        if (
+            lm &&
+            Math.abs(lm.toRow - lm.fromRow) === 2 &&
+            lm.piece.specials.some((s) => s.type === 'enPassant')
+        ) {
+            this.hashHi ^= ZOBRIST_MISC[2 + 2 * lm.toCol];
+            this.hashLo ^= ZOBRIST_MISC[3 + 2 * lm.toCol];
+        }
+    }
+
+    _toggleSideToMove() {
+        this.hashHi ^= ZOBRIST_MISC[0];
+        this.hashLo ^= ZOBRIST_MISC[1];
+    }
+
+    // Recompute the hash from scratch (after setup or a validated move)
+    _computeHash() {
+        this.hashHi = 0;
+        this.hashLo = 0;
+        for (let row = 0; row < this.board.length; row++) {
+            for (let col = 0; col < this.board[row].length; col++) {
+                this._toggleCell(this.board[row][col], row, col);
+            }
+        }
+        if (this.currentTurn === 'black') this._toggleSideToMove();
+        this._toggleEnPassant();
+        for (const color of ['white', 'black']) {
+            for (let index = 0; index < 6; index++) {
+                this._toggleReserve(color, index);
+            }
+        }
+    }
+
+    // XOR a reserve count in or out of the hash (empty reserves add nothing)
+    _toggleReserve(color, index) {
+        const count = Math.min(this.reserves[color][index], RESERVE_MAX);
+        if (count === 0) return;
+        const i =
+            ((color === 'white' ? 0 : 6) + index) * (RESERVE_MAX + 1) + count;
+        this.hashHi ^= ZOBRIST_RESERVE[2 * i];
+        this.hashLo ^= ZOBRIST_RESERVE[2 * i + 1];
+    }
+
+    // Count an occurrence of the current position and return the new count
+    _recordPosition() {
+        const key = this.getRepetitionKey();
+        const count = (this.positionCounts.get(key) || 0) + 1;
+        this.positionCounts.set(key, count);
+        return count;
+    }
+
+    // After a completed move: record the position and end the game on
+    // threefold repetition or the 50-move rule (mate/stalemate take priority)
+    _applyDrawRules() {
+        const count = this._recordPosition();
+        if (this.gameOver) return;
+        if (count >= 3) {
+            this._endInDraw('Threefold repetition');
+        } else if (this.halfmoveClock >= 100) {
+            this._endInDraw('50-move rule');
+        }
+    }
+
     // Check if the game is over
     isGameOver() {
         return this.gameOver;
     }
 
+    // Take a result decided elsewhere ({winner, reason}, or null while the
+    // game is on). Fog of war clients use the server's verdict: with pieces
+    // hidden, a view cannot work out the result itself.
+    setResult(result) {
+        this.gameOver = false;
+        this.drawn = false;
+        this.ruleResult = null;
+        this.resultReason = null;
+        if (result) this._endByRule(result);
+    }
+
     // Get the winner (null if game not over)
     getWinner() {
         if (!this.gameOver) return null;
+        if (this.ruleResult) return this.ruleResult.winner;
+        if (this.drawn) return 'draw';
 
         // Check if current player (who has no moves) is in check
         const inCheck = this.isInCheck(this.currentTurn);
@@ -1252,20 +2131,30 @@ class ChessEngine {
 
     // Check if current player is in checkmate
     isCheckmate() {
-        return this.gameOver && this.isInCheck(this.currentTurn);
+        return (
+            this.gameOver &&
+            !this.drawn &&
+            !this.ruleResult &&
+            this.isInCheck(this.currentTurn)
+        );
     }
 
     // Check if game is a stalemate (draw)
     isStalemate() {
-        return this.gameOver && !this.isInCheck(this.currentTurn);
+        return (
+            this.gameOver &&
+            !this.drawn &&
+            !this.ruleResult &&
+            !this.isInCheck(this.currentTurn)
+        );
     }
 
     // Count pawns on the current board. Detect pawns by the presence of
     // the enPassant special which is assigned to pawns in the generator.
     _countPawnsOnBoard() {
         let count = 0;
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
                 const sq = this.board[r][c];
                 if (!sq || !sq.piece) continue;
                 try {
@@ -1283,18 +2172,20 @@ class ChessEngine {
         return count;
     }
 
-    // Aggressive insufficient-material detection. Conservative rules for
-    // standard chess would check specific piece combinations; since pieces
-    // here are arbitrary, use an aggressive heuristic: if there are no
-    // pawns and at most one non-royal piece total on the board, declare
-    // insufficient material. This treats K vs K and K vs K+minor as draws.
-    _detectInsufficientMaterialAggressive() {
+    // Insufficient material: no pawns, at most one non-royal piece left and
+    // no position of that ending is won for either side. Generated pieces
+    // can't be judged by name, so the ending is judged from its retrograde
+    // table (EndgameSolver, cached per seed). This runs inside makeMove, so
+    // only endings with tiny tables are judged; larger ones keep the game
+    // going even when a background worker has solved them, so every engine
+    // (browser or server) reaches the same verdict.
+    _detectInsufficientMaterial() {
         // If any pawns exist, don't consider insufficient material
         if (this._countPawnsOnBoard() > 0) return false;
 
         const nonRoyal = [];
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
+        for (let r = 0; r < this.rows; r++) {
+            for (let c = 0; c < this.cols; c++) {
                 const sq = this.board[r][c];
                 if (!sq || !sq.piece) continue;
                 if (!sq.piece.royal) {
@@ -1302,20 +2193,373 @@ class ChessEngine {
                 }
             }
         }
+        if (nonRoyal.length > 1) return false;
 
-        // No non-royal pieces -> K vs K
-        if (nonRoyal.length === 0) return true;
+        // K vs K, or K + X vs K
+        const count = nonRoyal.length + 2;
+        if (EndgameSolver.tableSize(this, count) > INLINE_TABLE_POSITIONS) {
+            return false;
+        }
+        const extra = nonRoyal[0] || { piece: null, color: 'white' };
+        const table = EndgameSolver.materialTable(
+            this,
+            extra.color,
+            extra.piece,
+            INLINE_TABLE_POSITIONS
+        );
+        if (!table) return false;
+        return !table.hasWinFor('white') && !table.hasWinFor('black');
+    }
 
-        // Single minor piece total (either side) -> insufficient
-        if (nonRoyal.length === 1) return true;
+    // Serialize the current position to a compact FEN-like string:
+    //   <board> <turn> <lastMove> <promotion> <kingVariants> <halfmoves> <extras>
+    // Board ranks run from row 0 to row 7 separated by '/', digits count empty
+    // squares and each piece is a letter for its index in its side's army
+    // (A = 0; uppercase white, lowercase black) followed by "'" if it has
+    // moved and "^" if it carries its base piece's pre-generated upgrade.
+    // Upgraded pieces whose moves can't be rebuilt that way are written as
+    // "^[N]", N indexing the JSON list of serialized move sets in <extras>.
+    // In drop mode a trailing "~" marks a promoted piece.
+    // <turn> is w/b, <lastMove> and <promotion> are squares ("e7e5", "e8")
+    // or '-', <kingVariants> is the white then black variant initial (n/o/d),
+    // followed by "960" for shuffled back ranks, and <halfmoves> is the
+    // 50-move rule clock. In drop mode <board> ends with the reserves in
+    // brackets, one letter per piece in hand ("[AAc]").
+    toPositionString() {
+        const extras = [];
+        const ranks = [];
+        for (let row = 0; row < this.board.length; row++) {
+            let rank = '';
+            let empty = 0;
+            for (let col = 0; col < this.board[row].length; col++) {
+                const cell = this.board[row][col];
+                if (!cell) {
+                    empty++;
+                    continue;
+                }
+                if (empty > 0) rank += empty;
+                empty = 0;
+                rank += this._positionToken(cell, extras);
+            }
+            if (empty > 0) rank += empty;
+            ranks.push(rank);
+        }
 
-        // Otherwise be conservative and assume sufficient material
-        return false;
+        const lastMove = this.lastMove
+            ? this.squareName(this.lastMove.fromRow, this.lastMove.fromCol) +
+              this.squareName(this.lastMove.toRow, this.lastMove.toCol)
+            : '-';
+        const promotion = this.pendingPromotion
+            ? this.squareName(
+                  this.pendingPromotion.row,
+                  this.pendingPromotion.col
+              )
+            : '-';
+        const variants = (this.placement && this.placement.kingVariants) || {};
+        const kingVariants =
+            (variants.white || 'normal')[0] +
+            (variants.black || 'normal')[0] +
+            (this.placement && this.placement.chess960 ? '960' : '');
+
+        let reserves = '';
+        if (this.drops) {
+            for (const color of ['white', 'black']) {
+                this.reserves[color].forEach((count, index) => {
+                    const letter = String.fromCharCode(65 + index);
+                    reserves += (
+                        color === 'white' ? letter : letter.toLowerCase()
+                    ).repeat(count);
+                });
+            }
+            reserves = `[${reserves}]`;
+        }
+
+        return [
+            ranks.join('/') + reserves,
+            this.currentTurn === 'white' ? 'w' : 'b',
+            lastMove,
+            promotion,
+            kingVariants,
+            this.halfmoveClock,
+            extras.length > 0 ? JSON.stringify(extras) : '-',
+        ].join(' ');
+    }
+
+    // Index of a piece's type in its side's army. Royal clones and upgraded
+    // pieces are separate objects; match them back to their base type by
+    // symbol (symbols are unique per set).
+    _armyIndex(piece, color) {
+        const army = this.armyFor(color);
+        const index = army.indexOf(piece);
+        if (index !== -1) return index;
+        return army.findIndex((p) => p.name === piece.name);
+    }
+
+    // Encode a single board cell for toPositionString
+    _positionToken(cell, extras) {
+        const piece = cell.piece;
+        const army = this.armyFor(cell.color);
+        const index = this._armyIndex(piece, cell.color);
+        let token = String.fromCharCode(65 + index);
+        if (cell.color === 'black') token = token.toLowerCase();
+        if (cell.hasMoved) token += "'";
+
+        const base = army[index];
+        if (!piece.royal && piece !== base) {
+            if (
+                base.upgradeMoves.length > 0 &&
+                piece.moves === base.upgradeMoves
+            ) {
+                token += '^';
+            } else {
+                token += `^[${extras.length}]`;
+                extras.push(
+                    piece.moves.map((m) => PieceSerializer.serializeMove(m))
+                );
+            }
+        }
+        if (cell.promoted) token += '~';
+        return token;
+    }
+
+    // Rebuild an engine from toPositionString output. `pieces` (and
+    // `blackPieces` for asymmetric armies) must be the same piece sets the
+    // string was produced with. `rules` names the rule set and `ruleState`
+    // carries its bookkeeping (the rule set's initial state when omitted).
+    // Returns null (with a warning) if the string is malformed.
+    static fromPositionString(
+        pieces,
+        str,
+        seed = null,
+        blackPieces = null,
+        rules = null,
+        ruleState = null
+    ) {
+        const fields = String(str).trim().split(' ');
+        if (fields.length < 6) {
+            console.warn('Position string has too few fields');
+            return null;
+        }
+        const [
+            boardField,
+            turn,
+            lastMove,
+            promotion,
+            kingVariantCodes,
+            halfmoves,
+        ] = fields;
+        // Drop mode reserves trail the board in brackets
+        const reserveMatch = boardField.match(/\[([A-Fa-f]*)\]$/);
+        const board = reserveMatch
+            ? boardField.slice(0, reserveMatch.index)
+            : boardField;
+        const extrasField = fields.slice(6).join(' ') || '-';
+        if (!/^\d+$/.test(halfmoves)) {
+            console.warn('Invalid halfmove clock in position string');
+            return null;
+        }
+
+        const variantNames = { n: 'normal', o: 'orthogonal', d: 'diagonal' };
+        const kingVariants = {
+            white: variantNames[kingVariantCodes[0]],
+            black: variantNames[kingVariantCodes[1]],
+        };
+        const chess960 = kingVariantCodes.slice(2) === '960';
+        if (
+            !kingVariants.white ||
+            !kingVariants.black ||
+            (kingVariantCodes.length > 2 && !chess960)
+        ) {
+            console.warn('Invalid king variants in position string');
+            return null;
+        }
+
+        let extras = [];
+        try {
+            if (extrasField !== '-') {
+                extras = JSON.parse(extrasField).map((moves) =>
+                    moves.map((m) => PieceSerializer.deserializeMove(m))
+                );
+            }
+        } catch (e) {
+            console.warn('Invalid extras in position string', e);
+            return null;
+        }
+
+        // The board size follows from the ranks: their count and the width
+        // of the first one
+        const tokenPattern = /(\d+)|([A-Za-z])(')?(\^(?:\[(\d+)\])?)?(~)?/g;
+        const ranks = board.split('/');
+        let cols = 0;
+        for (const match of ranks[0].matchAll(tokenPattern)) {
+            cols += match[1] ? Number(match[1]) : 1;
+        }
+        const size = { rows: ranks.length, cols };
+        if (!ChessEngine.isValidBoardSize(size)) {
+            console.warn('Position string has an unsupported board size');
+            return null;
+        }
+
+        const engine = new ChessEngine(
+            pieces,
+            seed,
+            blackPieces,
+            size,
+            rules,
+            !!reserveMatch
+        );
+        engine.placement = chess960
+            ? { kingVariants, chess960: true }
+            : { kingVariants };
+        if (reserveMatch) {
+            for (const letter of reserveMatch[1]) {
+                const color =
+                    letter === letter.toUpperCase() ? 'white' : 'black';
+                const index = letter.toUpperCase().charCodeAt(0) - 65;
+                engine.reserves[color][index]++;
+            }
+        }
+
+        for (let row = 0; row < ranks.length; row++) {
+            let col = 0;
+            let consumed = 0;
+            for (const match of ranks[row].matchAll(tokenPattern)) {
+                if (match.index !== consumed) break;
+                consumed += match[0].length;
+                if (match[1]) {
+                    col += Number(match[1]);
+                    continue;
+                }
+                const letter = match[2];
+                const color =
+                    letter === letter.toUpperCase() ? 'white' : 'black';
+                const base =
+                    engine.armyFor(color)[
+                        letter.toUpperCase().charCodeAt(0) - 65
+                    ];
+                if (!base || col >= engine.board[row].length) {
+                    console.warn(`Invalid piece '${letter}' on rank ${row}`);
+                    return null;
+                }
+
+                let piece = base;
+                if (base.royal) {
+                    piece = engine._clonePieceWithVariant(
+                        base,
+                        kingVariants[color]
+                    );
+                } else if (match[4]) {
+                    const moves =
+                        match[5] !== undefined
+                            ? extras[Number(match[5])]
+                            : base.upgradeMoves;
+                    if (!moves || moves.length === 0) {
+                        console.warn(`Missing upgrade moves for '${letter}'`);
+                        return null;
+                    }
+                    // Same shape as the upgraded piece built in makeMove
+                    piece = new Piece(
+                        base.name,
+                        moves,
+                        base.royal,
+                        base.specials,
+                        [],
+                        -1,
+                        null
+                    );
+                }
+
+                engine.board[row][col] = {
+                    piece,
+                    color,
+                    hasMoved: match[3] === "'",
+                };
+                if (match[6]) engine.board[row][col].promoted = true;
+                col++;
+            }
+            if (
+                consumed !== ranks[row].length ||
+                col !== engine.board[row].length
+            ) {
+                console.warn(`Malformed rank ${row} in position string`);
+                return null;
+            }
+        }
+
+        if (turn !== 'w' && turn !== 'b') {
+            console.warn('Invalid side to move in position string');
+            return null;
+        }
+        engine.currentTurn = turn === 'w' ? 'white' : 'black';
+        engine.halfmoveClock = Number(halfmoves);
+
+        const parseSquare = (text) => {
+            const match = /^([a-z])(\d+)$/.exec(text);
+            if (!match) return null;
+            const col = match[1].charCodeAt(0) - 97;
+            const row = engine.rows - Number(match[2]);
+            if (!engine.board[row] || col >= engine.board[row].length) {
+                return null;
+            }
+            return { row, col };
+        };
+
+        if (lastMove !== '-') {
+            const match = /^([a-z]\d+)([a-z]\d+)$/.exec(lastMove);
+            const from = match && parseSquare(match[1]);
+            const to = match && parseSquare(match[2]);
+            const moved = to && engine.board[to.row][to.col];
+            if (!from || !moved) {
+                console.warn('Invalid last move in position string');
+                return null;
+            }
+            engine.lastMove = {
+                fromRow: from.row,
+                fromCol: from.col,
+                toRow: to.row,
+                toCol: to.col,
+                piece: moved.piece,
+            };
+        }
+
+        engine._computeHash();
+        engine.ruleState = ruleState || engine.rules.initialState(engine);
+
+        if (promotion !== '-') {
+            const square = parseSquare(promotion);
+            const cell = square && engine.board[square.row][square.col];
+            if (!cell || cell.piece.promotionType !== 'choice') {
+                console.warn('Invalid pending promotion in position string');
+                return null;
+            }
+            engine.pendingPromotion = {
+                row: square.row,
+                col: square.col,
+                color: cell.color,
+                promotionPieces: cell.piece.promotionPieces,
+            };
+        } else {
+            // The last move's rule bookkeeping is already in `ruleState`
+            const mover = engine.currentTurn === 'white' ? 'black' : 'white';
+            const result = engine.rules.result(engine, mover);
+            if (result) engine._endByRule(result);
+            else engine._checkNoMoves();
+            engine._applyDrawRules();
+        }
+
+        return engine;
     }
 
     // Clone the engine state (useful for AI lookahead)
     clone() {
-        const clone = new ChessEngine(this.pieces, this.seed);
+        const clone = new ChessEngine(
+            this.pieces,
+            this.seed,
+            this.blackPieces,
+            { rows: this.rows, cols: this.cols },
+            this.rules,
+            this.drops
+        );
         clone.currentTurn = this.currentTurn;
         clone.gameOver = this.gameOver;
         clone.placement = this.placement;
@@ -1323,10 +2567,20 @@ class ChessEngine {
             ? { ...this.pendingPromotion }
             : null;
         clone.lastMove = this.lastMove ? { ...this.lastMove } : null;
+        clone.resultReason = this.resultReason;
+        clone.drawn = this.drawn;
+        clone.ruleState = this.ruleState;
+        clone.ruleResult = this.ruleResult;
+        clone.reserves = this.reserves;
+        clone.halfmoveClock = this.halfmoveClock;
+        clone.positionCounts = new Map(this.positionCounts);
+        clone.hashHi = this.hashHi;
+        clone.hashLo = this.hashLo;
+        clone.moveHistory = this.moveHistory.map((entry) => ({ ...entry }));
 
         // Deep copy board
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
                 if (this.board[row][col]) {
                     clone.board[row][col] = { ...this.board[row][col] };
                 }
@@ -1337,11 +2591,6 @@ class ChessEngine {
     }
 }
 
-// Export for Node testing/runtime if available
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports.ChessEngine = ChessEngine;
-}
-
 // Attach to window for backwards compatibility and export as ES module
 try {
     if (typeof window !== 'undefined') {
@@ -0,0 +1,282 @@
+// ===== Position Evaluation =====
+// Shared evaluation used by ChessAI and PieceGenerator. Generated pieces are
+// valued by how many squares they actually reach on an empty board, so any
+// mover/jumper combination is scored on the same scale. Scores are in rough
+// pawn units from the point of view of the side to move.
+
+const ROYAL_VALUE = 10000;
+
+// Term weights
+const WEIGHTS = {
+    moveReach: 0.2, // per average square reachable by moving
+    captureReach: 0.2, // per average square reachable by capturing
+    promotion: 0.5, // pawns: promotion potential
+    promotionNear: 0.5, // pawns: per rank closer than 3 from promotion
+    center: 0.05, // per step closer to the center
+    mobility: 0.05, // per pseudo-legal move
+    kingZone: 0.15, // per enemy attack on the royal or its neighbours
+    hangingOurs: 0.1, // fraction of value for our undefended, attacked pieces
+    hangingTheirs: 0.3, // fraction of value for theirs
+    doubledPawn: 0.2,
+    isolatedPawn: 0.15,
+    passedPawn: 0.2, // plus passedPawnAdvance per rank advanced
+    passedPawnAdvance: 0.1,
+    reserve: 1.1, // drop mode: pieces in hand, as a multiple of their value
+};
+
+const reachCache = new WeakMap(); // Piece -> {moves, captures}
+const DEFAULT_SIZE = { rows: 8, cols: 8 };
+
+class Evaluation {
+    // Average number of squares a piece can move to / capture on from each
+    // square of an empty 8x8 board (white orientation; moves that need the
+    // piece to be unmoved are ignored).
+    static emptyBoardReach(piece) {
+        let cached = reachCache.get(piece);
+        if (cached) return cached;
+
+        let moveTotal = 0;
+        let captureTotal = 0;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const moveSquares = new Set();
+                const captureSquares = new Set();
+                for (const move of piece.moves) {
+                    if (move.requiresUnmoved) continue;
+                    const maxDist = move.distance === -1 ? 8 : move.distance;
+                    for (const [dx, dy] of move.getSteps()) {
+                        for (let dist = 1; dist <= maxDist; dist++) {
+                            const r = row - dy * dist;
+                            const c = col + dx * dist;
+                            if (!Number.isFinite(r) || !Number.isFinite(c))
+                                break;
+                            if (r < 0 || r > 7 || c < 0 || c > 7) break;
+                            if (move.capture !== 'required')
+                                moveSquares.add(r * 8 + c);
+                            if (move.capture !== 'prohibited')
+                                captureSquares.add(r * 8 + c);
+                            if (move.jump === 'required') break;
+                        }
+                    }
+                }
+                moveTotal += moveSquares.size;
+                captureTotal += captureSquares.size;
+            }
+        }
+
+        cached = { moves: moveTotal / 64, captures: captureTotal / 64 };
+        reachCache.set(piece, cached);
+        return cached;
+    }
+
+    // Value of a piece type, independent of where it stands. `values` is an
+    // optional tuned table (piece name -> value, see tools/tune-values.js)
+    // that overrides the reach-based estimate.
+    static pieceTypeValue(piece, values = null) {
+        if (!piece) return 0;
+        if (piece.royal) return ROYAL_VALUE;
+        if (values && typeof values[piece.name] === 'number') {
+            return values[piece.name];
+        }
+        const reach = this.emptyBoardReach(piece);
+        return (
+            reach.moves * WEIGHTS.moveReach +
+            reach.captures * WEIGHTS.captureReach
+        );
+    }
+
+    // Value of a piece on a square: type value plus promotion potential and
+    // a small centralisation bonus. `size` is the board's {rows, cols}.
+    static pieceValue(
+        piece,
+        row,
+        col,
+        color,
+        values = null,
+        size = DEFAULT_SIZE
+    ) {
+        if (!piece) return 0;
+        if (piece.royal) return ROYAL_VALUE;
+
+        let value = this.pieceTypeValue(piece, values);
+
+        if (piece.promotionPieces && piece.promotionPieces.length > 0) {
+            // White promotes on row 0, black on the last row
+            const promotionTargetRank = color === 'white' ? 0 : size.rows - 1;
+            const distanceToPromotion = Math.abs(row - promotionTargetRank);
+            value += WEIGHTS.promotion;
+            if (distanceToPromotion < 3) {
+                value += (3 - distanceToPromotion) * WEIGHTS.promotionNear;
+            }
+        }
+
+        const centerRow = (size.rows - 1) / 2;
+        const centerCol = (size.cols - 1) / 2;
+        const centerDistance =
+            Math.abs(centerRow - row) + Math.abs(centerCol - col);
+        value += (centerRow + centerCol - centerDistance) * WEIGHTS.center;
+
+        return value;
+    }
+
+    static isPawn(piece) {
+        return piece.specials.some((s) => s.type === 'enPassant');
+    }
+
+    // Full evaluation of `engine`'s position for the side to move
+    static evaluate(engine, values = null) {
+        const us = engine.currentTurn;
+        const them = us === 'white' ? 'black' : 'white';
+        const board = engine.board;
+        const size = { rows: engine.rows, cols: engine.cols };
+        const squares = size.rows * size.cols;
+
+        const attacks = {
+            white: new Int8Array(squares),
+            black: new Int8Array(squares),
+        };
+        const mobility = { white: 0, black: 0 };
+        const material = { white: 0, black: 0 };
+        const royals = [];
+        const pieces = [];
+        const pawnFiles = {
+            white: new Array(size.cols).fill(0),
+            black: new Array(size.cols).fill(0),
+        };
+        const pawns = [];
+
+        for (let row = 0; row < size.rows; row++) {
+            for (let col = 0; col < size.cols; col++) {
+                const cell = board[row][col];
+                if (!cell) continue;
+                const color = cell.color;
+
+                for (const sq of engine.getAttackedSquares(row, col)) {
+                    attacks[color][sq.row * size.cols + sq.col]++;
+                }
+                mobility[color] += engine.getPseudoLegalMoves(row, col).length;
+
+                if (cell.piece.royal) {
+                    royals.push({ row, col, color });
+                    continue;
+                }
+                const value = this.pieceValue(
+                    cell.piece,
+                    row,
+                    col,
+                    color,
+                    values,
+                    size
+                );
+                material[color] += value;
+                pieces.push({ row, col, color, value });
+                if (this.isPawn(cell.piece)) {
+                    pawnFiles[color][col]++;
+                    pawns.push({ row, col, color });
+                }
+            }
+        }
+
+        // Drop mode: pieces in hand can be dropped anywhere, so they count
+        // a little more than the same pieces on the board
+        if (engine.drops) {
+            for (const color of ['white', 'black']) {
+                const army = engine.armyFor(color);
+                engine.reserves[color].forEach((count, index) => {
+                    material[color] +=
+                        count *
+                        this.pieceTypeValue(army[index], values) *
+                        WEIGHTS.reserve;
+                });
+            }
+        }
+
+        let score = material[us] - material[them];
+        score += (mobility[us] - mobility[them]) * WEIGHTS.mobility;
+
+        // King safety: enemy attacks on the royal's square and neighbours
+        for (const royal of royals) {
+            const enemy = royal.color === 'white' ? 'black' : 'white';
+            let pressure = 0;
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    const r = royal.row + dr;
+                    const c = royal.col + dc;
+                    if (!engine.isOnBoard(r, c)) continue;
+                    pressure += attacks[enemy][r * size.cols + c];
+                }
+            }
+            const penalty = pressure * WEIGHTS.kingZone;
+            score += royal.color === us ? -penalty : penalty;
+        }
+
+        // Hanging pieces: attacked and not defended. The side to move can
+        // usually save its own, so theirs weigh more than ours.
+        for (const p of pieces) {
+            const enemy = p.color === 'white' ? 'black' : 'white';
+            const index = p.row * size.cols + p.col;
+            if (attacks[enemy][index] > 0 && attacks[p.color][index] === 0) {
+                if (p.color === us) score -= p.value * WEIGHTS.hangingOurs;
+                else score += p.value * WEIGHTS.hangingTheirs;
+            }
+        }
+
+        // Pawn structure: doubled, isolated and passed pawns
+        for (const color of ['white', 'black']) {
+            const files = pawnFiles[color];
+            let structure = 0;
+            for (let file = 0; file < size.cols; file++) {
+                if (files[file] > 1) {
+                    structure -= (files[file] - 1) * WEIGHTS.doubledPawn;
+                }
+            }
+            for (const pawn of pawns) {
+                if (pawn.color !== color) continue;
+                const left = pawn.col > 0 ? files[pawn.col - 1] : 0;
+                const right =
+                    pawn.col < size.cols - 1 ? files[pawn.col + 1] : 0;
+                if (left === 0 && right === 0) {
+                    structure -= WEIGHTS.isolatedPawn;
+                }
+                if (this.isPassedPawn(pawn, pawns)) {
+                    const advanced =
+                        color === 'white'
+                            ? size.rows - 2 - pawn.row
+                            : pawn.row - 1;
+                    structure +=
+                        WEIGHTS.passedPawn +
+                        Math.max(0, advanced) * WEIGHTS.passedPawnAdvance;
+                }
+            }
+            score += color === us ? structure : -structure;
+        }
+
+        return score;
+    }
+
+    // A pawn is passed when no enemy pawn stands ahead of it on its own or
+    // an adjacent file (white advances toward row 0)
+    static isPassedPawn(pawn, pawns) {
+        for (const other of pawns) {
+            if (other.color === pawn.color) continue;
+            if (Math.abs(other.col - pawn.col) > 1) continue;
+            const ahead =
+                pawn.color === 'white'
+                    ? other.row < pawn.row
+                    : other.row > pawn.row;
+            if (ahead) return false;
+        }
+        return true;
+    }
+}
+
+// Attach to window for backwards compatibility and export as ES module
+try {
+    if (typeof window !== 'undefined') {
+        window.Evaluation = Evaluation;
+    }
+} catch (e) {
+    /* ignore in non-browser env */
+}
+
+export { Evaluation };
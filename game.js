@@ -3,15 +3,30 @@
 
 import { PieceGenerator } from './Generator.js';
 import { BoardRenderer, UIManager } from './renderer.js';
+import { GameRecord } from './gameRecord.js';
+import { ArmyEditor } from './armyEditor.js';
+import { ChessEngine } from './engine.js';
+import { RuleSet } from './rules.js';
 import {
     AIGameController,
     HotseatController,
     OnlineGameController,
 } from './controllers.js';
 
+// Board sizes the 📐 button cycles through (COLSxROWS)
+const BOARD_SIZES = ['8x8', '10x8', '10x10', '6x6'];
+
 class RandoChessApp {
     constructor() {
         this.pieces = null;
+        // Black's own army when asymmetric armies are on, otherwise null
+        this.blackPieces = null;
+        this.asymmetric = false;
+        this.boardSize = null; // {rows, cols} for local games, null for 8x8
+        this.rules = 'checkmate'; // rule set name for local games (rules.js)
+        this.drops = false; // captured pieces go to the captor's reserve
+        this.fog = false; // fog of war: see only what your pieces reach
+        this.chess960 = false; // shuffled back ranks, fixed-file castling
         this.renderer = null;
         this.uiManager = null;
         this.currentController = null;
@@ -23,6 +38,11 @@ class RandoChessApp {
         // Rematch vote state when in online finished match
         this.rematchLocalSelection = null; // 'roll'|'keep'|null
         this.rematchOpponentSelection = null;
+        // {engine, winner} for the last resignation so records keep the result
+        this.resignation = null;
+        this.armyEditor = null;
+        // True while playing a hand-authored army rather than a seed's set
+        this.customArmy = false;
     }
 
     initialize() {
@@ -31,7 +51,27 @@ class RandoChessApp {
         const seedParam = urlParams.get('seed');
         const seed = seedParam ? Number(seedParam) : null;
         this.seed = seed || null;
-        this.pieces = PieceGenerator.generateRandomPieces(this.seed);
+        // `?asymmetric=1` starts with separate white and black armies
+        this.asymmetric = urlParams.get('asymmetric') === '1';
+        // `?board=10x8` picks another board size (see BOARD_SIZES)
+        const boardParam = urlParams.get('board');
+        this.boardSize = boardParam
+            ? ChessEngine.parseBoardSize(boardParam)
+            : null;
+        // `?rules=three-check` picks another rule set (see RuleSet.names())
+        const rulesParam = urlParams.get('rules');
+        if (rulesParam && RuleSet.isValid(rulesParam)) this.rules = rulesParam;
+        // `?drops=1` starts in drop mode
+        this.drops = urlParams.get('drops') === '1';
+        // `?fog=1` starts with fog of war, if the rule set allows it
+        this.fog = urlParams.get('fog') === '1';
+        if (this.fog && RuleSet.fogConflict(this.rules)) {
+            console.warn('Fog of war is off:', RuleSet.fogConflict(this.rules));
+            this.fog = false;
+        }
+        // `?chess960=1` shuffles the back ranks
+        this.chess960 = urlParams.get('chess960') === '1';
+        this.generateArmies(this.seed);
         // If no seed was provided, the generator chose one; read it back so
         // the UI can display the actual seed used.
         if (
@@ -45,12 +85,28 @@ class RandoChessApp {
         // Set up UI
         this.renderer = new BoardRenderer(document.getElementById('board'));
         this.uiManager = new UIManager();
+        this.armyEditor = new ArmyEditor(
+            document.getElementById('army-editor')
+        );
 
         // Wire mode buttons
         if (this.uiManager) {
             this.uiManager.onModePlayAIClick(() => this.startAIGame());
             this.uiManager.onModeOTBClick(() => this.startOTBGame());
             this.uiManager.onModeOnlineClick(() => this.startOnlineSearch());
+            this.uiManager.onArmyEditorClick(() => this.openArmyEditor());
+            this.uiManager.onAsymmetricClick(() => this.toggleAsymmetric());
+            this.uiManager.setAsymmetric(this.asymmetric);
+            this.uiManager.onBoardSizeClick(() => this.cycleBoardSize());
+            this.uiManager.setBoardSize(this.boardSizeLabel());
+            this.uiManager.onRulesClick(() => this.cycleRules());
+            this.uiManager.setRules(RuleSet.get(this.rules).label);
+            this.uiManager.onDropsClick(() => this.toggleDrops());
+            this.uiManager.setDrops(this.drops);
+            this.uiManager.onFogOfWarClick(() => this.toggleFog());
+            this.updateFogButton();
+            this.uiManager.onChess960Click(() => this.toggleChess960());
+            this.uiManager.setChess960(this.chess960);
             // Takeback wiring (handles AI / OTB / Online semantics)
             this.uiManager.onTakebackClick(() => {
                 try {
@@ -348,6 +404,7 @@ class RandoChessApp {
                         } catch (e) { console.warn('Ignored error (game.js)', e); }
                         const eng = this.currentController.engine;
                         if (eng) eng.gameOver = true;
+                        this.resignation = { engine: eng, winner };
                         if (this.uiManager) {
                             if (winner === 'white')
                                 this.uiManager.showMessage('⚪✋', 0);
@@ -420,8 +477,8 @@ class RandoChessApp {
                         // Fallback/local behavior: New random seed -> regenerate pieces and restart current mode
                         const seedVal = Date.now() % 1000000;
                         this.seed = seedVal;
-                        this.pieces =
-                            PieceGenerator.generateRandomPieces(seedVal);
+                        this.generateArmies(seedVal);
+                        this.customArmy = false;
                         try {
                             if (
                                 this.currentController instanceof
@@ -477,17 +534,18 @@ class RandoChessApp {
                         }
 
                         // Local fallback: Recreate pieces from current seed and restart current mode
-                        if (
-                            !this.seed &&
-                            this.pieces &&
-                            typeof this.pieces.__seed !== 'undefined'
-                        ) {
-                            this.seed = this.pieces.__seed;
+                        // (custom armies restart with the same pieces)
+                        if (!this.customArmy) {
+                            if (
+                                !this.seed &&
+                                this.pieces &&
+                                typeof this.pieces.__seed !== 'undefined'
+                            ) {
+                                this.seed = this.pieces.__seed;
+                            }
+                            if (!this.seed) return;
+                            this.generateArmies(this.seed);
                         }
-                        if (!this.seed) return;
-                        this.pieces = PieceGenerator.generateRandomPieces(
-                            this.seed
-                        );
                         try {
                             if (
                                 this.currentController instanceof
@@ -506,6 +564,15 @@ class RandoChessApp {
                     }
                 });
             }
+            // Game record download / upload
+            if (this.uiManager.onDownloadRecordClick)
+                this.uiManager.onDownloadRecordClick(() =>
+                    this.downloadGameRecord()
+                );
+            if (this.uiManager.onUploadRecord)
+                this.uiManager.onUploadRecord((text) =>
+                    this.loadGameRecord(text)
+                );
             // Enable reroll/reset by default for local play
             if (this.uiManager.setRerollEnabled)
                 this.uiManager.setRerollEnabled(true);
@@ -533,6 +600,219 @@ class RandoChessApp {
 
     // Seed controls and seed display removed; seed remains internal to PieceGenerator
 
+    // Save the current game as a RandoChess PGN file
+    downloadGameRecord() {
+        const controller = this.currentController;
+        if (!controller || !controller.engine) return;
+        try {
+            const engine = controller.engine;
+            let result;
+            if (this.resignation && this.resignation.engine === engine) {
+                result = this.resignation.winner === 'white' ? '1-0' : '0-1';
+            }
+            const text = GameRecord.export(engine, {
+                seed: this.seed,
+                timeControl: this.uiManager && this.uiManager.timeControl,
+                result,
+            });
+            if (!text) {
+                // Fog of war moves stay hidden until the game is over
+                console.warn('Game record unavailable: some moves are hidden');
+                if (this.uiManager) this.uiManager.showMessage('⚠️', 2000);
+                return;
+            }
+            const blob = new Blob([text], { type: 'application/x-chess-pgn' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `randochess-${this.seed || 'game'}.pgn`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            console.warn('Failed to export game record (game.js)', e);
+        }
+    }
+
+    // Replay a RandoChess PGN record and continue it as a hotseat game
+    loadGameRecord(text) {
+        const record = GameRecord.parse(text);
+        if (record.error) {
+            console.warn('Game record rejected:', record.error);
+            if (this.uiManager) this.uiManager.showMessage('⚠️', 3000);
+            // Nothing to show if the header itself was unusable
+            if (!record.engine) return;
+        }
+
+        this.pieces = record.pieces;
+        this.blackPieces = record.blackPieces || null;
+        this.seed = record.seed;
+        this.rules = record.rules;
+        this.drops = record.drops;
+        if (this.fog && RuleSet.fogConflict(this.rules)) {
+            console.warn('Fog of war is off:', RuleSet.fogConflict(this.rules));
+            this.fog = false;
+        }
+        if (this.uiManager) {
+            this.uiManager.setRules(RuleSet.get(this.rules).label);
+            this.uiManager.setDrops(this.drops);
+        }
+        this.updateFogButton();
+        this.startOTBGame(record.placement);
+
+        const controller = this.currentController;
+        controller.engine = record.engine;
+        controller.render();
+        if (this.uiManager) {
+            this.uiManager.updateTurn(record.engine.currentTurn);
+            if (record.timeControl && this.uiManager.setTimeControl)
+                this.uiManager.setTimeControl(
+                    record.timeControl.base,
+                    record.timeControl.inc
+                );
+        }
+        if (record.engine.isGameOver()) controller.displayGameEnd();
+    }
+
+    // Open the army editor on the saved custom army (or the current set)
+    openArmyEditor() {
+        if (!this.armyEditor) return;
+        this.armyEditor.open(
+            ArmyEditor.load() || this.pieces,
+            (mode, pieces) => this.startCustomArmy(mode, pieces),
+            this.pieces
+        );
+    }
+
+    // Play a hand-authored army in the chosen mode. Online, the server uses
+    // the army of whoever joined the queue first.
+    startCustomArmy(mode, pieces) {
+        this.pieces = pieces;
+        this.blackPieces = null;
+        this.customArmy = true;
+        if (mode === 'online') this.startOnlineSearch();
+        else if (mode === 'otb') this.startOTBGame();
+        else this.startAIGame();
+    }
+
+    // Regenerate the seed's armies: one shared set, or separate white and
+    // black sets while asymmetric armies are on
+    generateArmies(seed, asymmetric = this.asymmetric) {
+        if (asymmetric) {
+            const armies = PieceGenerator.generateAsymmetricArmies(seed);
+            this.pieces = armies.white;
+            this.blackPieces = armies.black;
+        } else {
+            this.pieces = PieceGenerator.generateRandomPieces(seed);
+            this.blackPieces = null;
+        }
+    }
+
+    // Switch asymmetric armies on or off and restart the local game with the
+    // current seed. Online games keep the armies they were matched with.
+    toggleAsymmetric() {
+        if (this.currentController instanceof OnlineGameController) return;
+        this.asymmetric = !this.asymmetric;
+        if (this.uiManager) this.uiManager.setAsymmetric(this.asymmetric);
+        this.customArmy = false;
+        this.generateArmies(this.seed);
+        if (this.currentController instanceof HotseatController)
+            this.startOTBGame();
+        else this.startAIGame();
+    }
+
+    boardSizeLabel() {
+        return this.boardSize
+            ? `${this.boardSize.cols}x${this.boardSize.rows}`
+            : '8x8';
+    }
+
+    // Move to the next board size and restart the local game on it. Online
+    // games keep the board they were matched on.
+    cycleBoardSize() {
+        if (this.currentController instanceof OnlineGameController) return;
+        const index = BOARD_SIZES.indexOf(this.boardSizeLabel());
+        const next = BOARD_SIZES[(index + 1) % BOARD_SIZES.length];
+        this.boardSize =
+            next === '8x8' ? null : ChessEngine.parseBoardSize(next);
+        if (this.uiManager) this.uiManager.setBoardSize(next);
+        if (this.currentController instanceof HotseatController)
+            this.startOTBGame();
+        else this.startAIGame();
+    }
+
+    // Move to the next rule set and restart the local game with it. Online
+    // games keep the rules they were matched with. Under fog of war, rule
+    // sets that need check are skipped (see RuleSet.fogConflict).
+    cycleRules() {
+        if (this.currentController instanceof OnlineGameController) return;
+        const names = RuleSet.names().filter(
+            (name) => !this.fog || !RuleSet.fogConflict(name)
+        );
+        this.rules = names[(names.indexOf(this.rules) + 1) % names.length];
+        if (this.uiManager)
+            this.uiManager.setRules(RuleSet.get(this.rules).label);
+        this.updateFogButton();
+        if (this.currentController instanceof HotseatController)
+            this.startOTBGame();
+        else this.startAIGame();
+    }
+
+    // Switch drop mode on or off and restart the local game. Online games
+    // keep the mode they were matched with.
+    toggleDrops() {
+        if (this.currentController instanceof OnlineGameController) return;
+        this.drops = !this.drops;
+        if (this.uiManager) this.uiManager.setDrops(this.drops);
+        if (this.currentController instanceof HotseatController)
+            this.startOTBGame();
+        else this.startAIGame();
+    }
+
+    // Switch fog of war on or off and restart the local game. Online games
+    // keep the mode they were matched with. Rule sets that need check
+    // refuse it; the button's title says why.
+    toggleFog() {
+        if (this.currentController instanceof OnlineGameController) return;
+        if (!this.fog && RuleSet.fogConflict(this.rules)) {
+            if (this.uiManager) this.uiManager.showMessage('⚠️', 2000);
+            return;
+        }
+        this.fog = !this.fog;
+        this.updateFogButton();
+        if (this.currentController instanceof HotseatController)
+            this.startOTBGame();
+        else this.startAIGame();
+    }
+
+    // Fog button state, marked unavailable under rule sets that need check
+    updateFogButton() {
+        if (this.uiManager)
+            this.uiManager.setFogOfWar(
+                this.fog,
+                RuleSet.fogConflict(this.rules)
+            );
+    }
+
+    // Switch shuffled back ranks on or off and restart the local game.
+    // Online games keep the setup they were matched with.
+    toggleChess960() {
+        if (this.currentController instanceof OnlineGameController) return;
+        this.chess960 = !this.chess960;
+        if (this.uiManager) this.uiManager.setChess960(this.chess960);
+        if (this.currentController instanceof HotseatController)
+            this.startOTBGame();
+        else this.startAIGame();
+    }
+
+    // Placement for a new local game: shuffled back ranks when Chess960 is
+    // on, otherwise null so the engine generates the standard one
+    localPlacement() {
+        if (!this.chess960) return null;
+        return this.currentController.engine.generatePlacement(true);
+    }
+
     startAIGame(difficulty = 'hard') {
         // Stop current game if any
         if (this.currentController) {
@@ -545,14 +825,19 @@ class RandoChessApp {
             this.renderer,
             this.uiManager,
             difficulty,
-            this.seed
+            this.seed,
+            this.blackPieces,
+            this.boardSize,
+            this.rules,
+            this.drops,
+            this.fog
         );
 
         this.renderer.attachEventListener((row, col) => {
             this.currentController.handleSquareClick(row, col);
         });
 
-        this.currentController.start();
+        this.currentController.start(this.localPlacement());
         this.clearTakebackRequests();
         // Update UI to show we're playing AI
         if (this.uiManager) {
@@ -565,18 +850,26 @@ class RandoChessApp {
         }
     }
 
-    startOTBGame() {
+    startOTBGame(placement = null) {
         if (this.currentController) this.currentController.stop();
         this.currentController = new HotseatController(
             this.pieces,
             this.renderer,
             this.uiManager,
-            this.seed
+            this.seed,
+            this.blackPieces,
+            this.boardSize,
+            this.rules,
+            this.drops,
+            this.fog
         );
         this.renderer.attachEventListener((row, col) =>
             this.currentController.handleSquareClick(row, col)
         );
-        this.currentController.start(null, 'white');
+        this.currentController.start(
+            placement || this.localPlacement(),
+            'white'
+        );
         this.clearTakebackRequests();
         if (this.uiManager) {
             this.uiManager.setOpponentStatus('👥');
@@ -615,6 +908,14 @@ class RandoChessApp {
                     JSON.stringify({
                         type: 'JOIN_QUEUE',
                         pieces: serializedPieces,
+                        blackPieces: this.blackPieces
+                            ? PieceSerializer.serialize(this.blackPieces)
+                            : null,
+                        boardSize: this.boardSize,
+                        rules: this.rules,
+                        drops: this.drops,
+                        fog: this.fog,
+                        chess960: this.chess960,
                         seed: this.seed,
                     })
                 );
@@ -638,6 +939,9 @@ class RandoChessApp {
                         data.pieces
                     );
                     this.pieces = deserialized;
+                    this.blackPieces = data.blackPieces
+                        ? PieceSerializer.deserialize(data.blackPieces)
+                        : null;
                     // Stop any local controller
                     if (this.currentController) this.currentController.stop();
 
@@ -649,7 +953,12 @@ class RandoChessApp {
                         this.uiManager,
                         this.onlineSocket,
                         data.color,
-                        this.seed
+                        this.seed,
+                        this.blackPieces,
+                        null,
+                        data.rules || null,
+                        !!data.drops,
+                        !!data.fog
                     );
                     this.renderer.attachEventListener((row, col) =>
                         this.currentController.handleSquareClick(row, col)
@@ -667,6 +976,15 @@ class RandoChessApp {
                     }
                 } else if (data.type === 'MOVE') {
                     if (
+                        data.fog &&
+                        this.currentController &&
+                        typeof this.currentController.applyFogView ===
+                            'function'
+                    ) {
+                        // Fog of war: the server sends what we can see
+                        this.currentController.applyFogView(data);
+                        this.clearTakebackRequests();
+                    } else if (
                         this.currentController &&
                         typeof this.currentController.applyRemoteMove ===
                             'function'
@@ -675,6 +993,17 @@ class RandoChessApp {
                         // Any remote move clears pending takeback requests
                         this.clearTakebackRequests();
                     }
+                } else if (data.type === 'ERROR') {
+                    // The server rejected one of our moves; undo it locally
+                    if (
+                        data.move &&
+                        this.currentController &&
+                        typeof this.currentController.rejectMove === 'function'
+                    ) {
+                        this.currentController.rejectMove();
+                    } else if (this.uiManager) {
+                        this.uiManager.showMessage('⚠️', 2000);
+                    }
                 } else if (data.type === 'TAKEBACK_REQUEST') {
                     // Opponent requested a takeback - highlight their request
                     this.takebackOpponentRequest = true;
@@ -807,6 +1136,17 @@ class RandoChessApp {
                         );
                     }
                     this.clearDrawRequests();
+                } else if (data.type === 'GAME_RECORD') {
+                    // A fog of war game is over; its hidden moves are revealed
+                    if (
+                        this.currentController &&
+                        typeof this.currentController.revealMoves === 'function'
+                    )
+                        this.currentController.revealMoves(data.moves);
+                } else if (data.type === 'DRAW_WITHDRAWN') {
+                    // A move was made since the draw offer; the server
+                    // dropped it, so drop the highlights too
+                    this.clearDrawRequests();
                 } else if (data.type === 'REMATCH_STATUS') {
                     // Server informs about rematch vote state for this player
                     try {
@@ -874,21 +1214,47 @@ class RandoChessApp {
                             try {
                                 this.seed = data.seed;
                                 // regenerate the full piece definitions deterministically
-                                this.pieces =
-                                    PieceGenerator.generateRandomPieces(
-                                        this.seed
-                                    );
+                                // (both armies when the session is asymmetric)
+                                this.generateArmies(
+                                    this.seed,
+                                    !!data.asymmetric
+                                );
                                 try {
                                     if (
                                         typeof PieceGenerator.generatePlacement ===
                                         'function'
                                     ) {
                                         // generate placement deterministically from the seed
-                                        const genPlacement =
-                                            PieceGenerator.generatePlacement(
-                                                this.pieces,
-                                                this.seed
-                                            );
+                                        // (on the board the match is played on)
+                                        const engine =
+                                            this.currentController &&
+                                            this.currentController.engine;
+                                        const size = engine
+                                            ? {
+                                                  rows: engine.rows,
+                                                  cols: engine.cols,
+                                              }
+                                            : null;
+                                        // Shuffled again if the match was
+                                        const shuffle = !!(
+                                            engine &&
+                                            engine.placement &&
+                                            engine.placement.chess960
+                                        );
+                                        const genPlacement = this.blackPieces
+                                            ? PieceGenerator.generateAsymmetricPlacement(
+                                                  this.pieces,
+                                                  this.blackPieces,
+                                                  this.seed,
+                                                  size,
+                                                  shuffle
+                                              )
+                                            : PieceGenerator.generatePlacement(
+                                                  this.pieces,
+                                                  this.seed,
+                                                  size,
+                                                  shuffle
+                                              );
                                         // prefer server-provided placement when available;
                                         // otherwise, use our locally generated placement
                                         data.placement =
@@ -916,6 +1282,17 @@ class RandoChessApp {
                                 this.currentController.playerColor
                                     ? this.currentController.playerColor
                                     : null;
+                            // The rematch is played under the same rules
+                            // (and drop mode and fog of war)
+                            const prevEngine =
+                                this.currentController &&
+                                this.currentController.engine;
+                            const rules = prevEngine ? prevEngine.rules : null;
+                            const drops = prevEngine ? prevEngine.drops : false;
+                            const fog = !!(
+                                this.currentController &&
+                                this.currentController.fog
+                            );
                             // Stop existing controller
                             if (this.currentController) {
                                 try {
@@ -942,7 +1319,12 @@ class RandoChessApp {
                                 this.uiManager,
                                 this.onlineSocket,
                                 color,
-                                this.seed
+                                this.seed,
+                                this.blackPieces,
+                                null,
+                                rules,
+                                drops,
+                                fog
                             );
                             this.renderer.attachEventListener((row, col) =>
                                 this.currentController.handleSquareClick(
@@ -0,0 +1,272 @@
+// ===== Game Record (RandoChess PGN) =====
+// PGN-like text format for saving and replaying games. The header embeds
+// everything needed to rebuild the starting position (seed, serialized
+// pieces, placement) so a record can be replayed without the generator.
+// Asymmetric games add black's army as a BlackPieces tag, drop-mode games a
+// Drops tag, and every record names its rule set (see rules.js) in a Rules
+// tag.
+
+import { PieceSerializer } from './pieces.js';
+import { ChessEngine } from './engine.js';
+import { RuleSet } from './rules.js';
+
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+class GameRecord {
+    // Map an engine outcome to a PGN result token
+    static resultFor(engine) {
+        if (!engine || !engine.isGameOver()) return '*';
+        const winner = engine.getWinner();
+        if (winner === 'white') return '1-0';
+        if (winner === 'black') return '0-1';
+        return '1/2-1/2';
+    }
+
+    static escapeTag(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    static unescapeTag(value) {
+        return value.replace(/\\(["\\])/g, '$1');
+    }
+
+    // Serialize a game to text.
+    // `options`: {seed, timeControl: {base, inc}, result, date}
+    // Returns null while some moves are hidden ('?' in an online fog of war
+    // game until the server reveals them), since the record couldn't be
+    // replayed.
+    static export(engine, options = {}) {
+        if (engine.moveHistory.some((entry) => entry.notation === '?')) {
+            return null;
+        }
+        const timeControl = options.timeControl || null;
+        const result = options.result || this.resultFor(engine);
+        const date = options.date || new Date();
+        const tags = [
+            ['Event', 'RandoChess game'],
+            [
+                'Date',
+                `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(
+                    2,
+                    '0'
+                )}.${String(date.getDate()).padStart(2, '0')}`,
+            ],
+            ['Seed', options.seed !== undefined ? options.seed : engine.seed],
+            [
+                'TimeControl',
+                timeControl ? `${timeControl.base}+${timeControl.inc}` : '-',
+            ],
+            ['Result', result],
+            ['Rules', engine.rules.name],
+            [
+                'Pieces',
+                JSON.stringify(PieceSerializer.serialize(engine.pieces)),
+            ],
+            ['Placement', JSON.stringify(engine.placement)],
+        ];
+        if (engine.blackPieces) {
+            tags.push([
+                'BlackPieces',
+                JSON.stringify(PieceSerializer.serialize(engine.blackPieces)),
+            ]);
+        }
+        if (engine.drops) tags.push(['Drops', 'true']);
+        if (engine.resultReason)
+            tags.push(['Termination', engine.resultReason]);
+
+        const header = tags
+            .map(([name, value]) => `[${name} "${this.escapeTag(value)}"]`)
+            .join('\n');
+
+        // Movetext: "1. e4 e5 2. ..." (with "1..." if black moved first)
+        const parts = [];
+        let number = 0;
+        engine.moveHistory.forEach((entry, index) => {
+            if (entry.color === 'white' || index === 0) {
+                number++;
+                parts.push(
+                    entry.color === 'white' ? `${number}.` : `${number}...`
+                );
+            }
+            parts.push(entry.notation);
+        });
+        parts.push(result);
+
+        return `${header}\n\n${parts.join(' ')}\n`;
+    }
+
+    // Whether a Placement header has the shape initializeBoard expects: a
+    // back rank of piece indices, or the strongest piece and the remaining
+    // ones (see PieceGenerator.backRankLayout), for black's own `black`
+    // layout as well
+    static isValidPlacement(placement) {
+        const isIndex = (i, min) => Number.isInteger(i) && i >= min && i <= 4;
+        const isLayout = (layout) =>
+            !!layout &&
+            typeof layout === 'object' &&
+            (Array.isArray(layout.backRank)
+                ? layout.backRank.every((i) => isIndex(i, 0))
+                : isIndex(layout.strongestIndex, 1) &&
+                  Array.isArray(layout.remainingPieces) &&
+                  layout.remainingPieces.length > 0 &&
+                  layout.remainingPieces.every((i) => isIndex(i, 1))) &&
+            (layout.extraPieces === undefined ||
+                (Array.isArray(layout.extraPieces) &&
+                    layout.extraPieces.every((i) => isIndex(i, 1))));
+        return (
+            isLayout(placement) &&
+            (placement.black === undefined || isLayout(placement.black))
+        );
+    }
+
+    // Parse a record and replay it. Returns
+    // {tags, seed, pieces, blackPieces, placement, rules, drops, timeControl,
+    // result, engine, error}
+    // where `error` is null on success; on an illegal move `engine` holds
+    // the position just before it and `error` names the move and ply.
+    static parse(text) {
+        const record = {
+            tags: {},
+            seed: null,
+            pieces: null,
+            blackPieces: null,
+            placement: null,
+            rules: 'checkmate',
+            drops: false,
+            timeControl: null,
+            result: '*',
+            engine: null,
+            error: null,
+        };
+
+        const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+        const movetextLines = [];
+        for (const line of String(text).split(/\r?\n/)) {
+            const match = line.match(tagPattern);
+            if (match) {
+                record.tags[match[1]] = this.unescapeTag(match[2]);
+            } else {
+                movetextLines.push(line);
+            }
+        }
+
+        try {
+            record.pieces = PieceSerializer.deserialize(
+                JSON.parse(record.tags.Pieces)
+            );
+            record.placement = JSON.parse(record.tags.Placement);
+            if (record.tags.BlackPieces) {
+                record.blackPieces = PieceSerializer.deserialize(
+                    JSON.parse(record.tags.BlackPieces)
+                );
+            }
+        } catch (e) {
+            record.error = 'Missing or corrupt Pieces/Placement header';
+            return record;
+        }
+        const problems = [record.pieces, record.blackPieces]
+            .filter((army) => army !== null)
+            .flatMap((army) => PieceSerializer.validateArmy(army));
+        if (problems.length > 0) {
+            record.error = `Invalid army in header: ${problems.join('; ')}`;
+            return record;
+        }
+        if (!this.isValidPlacement(record.placement)) {
+            record.error = 'Invalid Placement header';
+            return record;
+        }
+
+        // Records without a Rules tag predate rule sets: standard checkmate
+        if (record.tags.Rules) {
+            if (!RuleSet.isValid(record.tags.Rules)) {
+                record.error = `Unknown rule set: ${record.tags.Rules}`;
+                return record;
+            }
+            record.rules = record.tags.Rules;
+        }
+
+        record.drops = record.tags.Drops === 'true';
+
+        const seed = Number(record.tags.Seed);
+        record.seed = Number.isFinite(seed) ? seed : null;
+        const tc = (record.tags.TimeControl || '').match(/^(\d+)\+(\d+)$/);
+        if (tc)
+            record.timeControl = { base: Number(tc[1]), inc: Number(tc[2]) };
+        if (RESULT_TOKENS.includes(record.tags.Result)) {
+            record.result = record.tags.Result;
+        }
+
+        let engine = null;
+        try {
+            engine = new ChessEngine(
+                record.pieces,
+                record.seed,
+                record.blackPieces,
+                null,
+                record.rules,
+                record.drops
+            );
+            engine.initializeBoard(record.placement);
+        } catch (e) {
+            console.warn('Failed to set up recorded position', e);
+            record.error = 'Header does not describe a playable position';
+            return record;
+        }
+        record.engine = engine;
+
+        // Drop comments, move numbers and result tokens
+        const tokens = movetextLines
+            .join(' ')
+            .replace(/\{[^}]*\}/g, ' ')
+            .split(/\s+/)
+            .filter(
+                (t) => t && !/^\d+\.+$/.test(t) && !RESULT_TOKENS.includes(t)
+            );
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i].replace(/^\d+\.+/, '');
+            const ply = i + 1;
+            const illegal = (reason) =>
+                `Illegal move at ply ${ply} (${engine.currentTurn}): ${token}${
+                    reason ? ` - ${reason}` : ''
+                }`;
+
+            if (engine.isGameOver()) {
+                record.error = illegal('game already over');
+                return record;
+            }
+
+            const move = engine.findMoveByNotation(token);
+            const before = move ? engine.clone() : null;
+            if (!move || !engine.playMove(move)) {
+                record.error = illegal();
+                return record;
+            }
+
+            if (engine.pendingPromotion) {
+                const choice = (token.match(/=([^+#]+)/) || [])[1];
+                const index = engine.pendingPromotion.promotionPieces.findIndex(
+                    (p) => p.name === choice
+                );
+                if (index === -1 || !engine.completePromotion(index)) {
+                    record.engine = before;
+                    record.error = illegal('missing or invalid promotion');
+                    return record;
+                }
+            }
+        }
+
+        return record;
+    }
+}
+
+// Attach to window for backwards compatibility and export as ES module
+try {
+    if (typeof window !== 'undefined') {
+        window.GameRecord = GameRecord;
+    }
+} catch (e) {
+    /* ignore in non-browser env */
+}
+
+export { GameRecord };
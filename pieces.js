@@ -10,6 +10,10 @@ class Special {
     }
 }
 
+// Move -> {dx, dy, symmetry, steps}: getSteps results, rebuilt when the
+// move's step or symmetry is edited
+const stepCache = new WeakMap();
+
 class Move {
     constructor(
         step,
@@ -27,9 +31,19 @@ class Move {
         this.capture = capture; // allowed (default) | prohibited (pawn forward) | required (pawn diagonal)
     }
 
-    // Generate all possible steps based on symmetry
+    // Generate all possible steps based on symmetry. The list is cached
+    // (move generation asks for it constantly); callers must not modify it.
     getSteps() {
         const [dx, dy] = this.step;
+        const cached = stepCache.get(this);
+        if (
+            cached &&
+            cached.dx === dx &&
+            cached.dy === dy &&
+            cached.symmetry === this.symmetry
+        ) {
+            return cached.steps;
+        }
         const steps = [[dx, dy]];
 
         switch (this.symmetry) {
@@ -63,8 +77,25 @@ class Move {
             }
         }
 
+        stepCache.set(this, {
+            dx,
+            dy,
+            symmetry: this.symmetry,
+            steps: uniqueSteps,
+        });
         return uniqueSteps;
     }
+
+    // Betza funny-notation for this move (see BetzaNotation)
+    toBetza() {
+        return BetzaNotation.fromMoves([this]);
+    }
+
+    // [Move] for a Betza string, or null if it can't be parsed
+    static fromBetza(str) {
+        const parsed = BetzaNotation.parse(str);
+        return parsed ? parsed.moves : null;
+    }
 }
 
 class Piece {
@@ -87,6 +118,33 @@ class Piece {
         this.promotionType = promotionType; // 'choice' (pawns), 'move-upgrade' (directionally restricted), or null
         this.upgradeMoves = upgradeMoves; // [Move] - pre-generated moves for move-upgrade promotions
     }
+
+    // Betza funny-notation for the piece's moves and specials
+    toBetza() {
+        return BetzaNotation.fromMoves(this.moves, this.specials);
+    }
+
+    // Piece from a Betza string. Royalty and promotion aren't part of the
+    // notation, so they come from `options`. Returns null on a parse error.
+    static fromBetza(name, str, options = {}) {
+        const parsed = BetzaNotation.parse(str);
+        if (!parsed) return null;
+        let upgradeMoves = [];
+        if (options.upgrade) {
+            upgradeMoves = Move.fromBetza(options.upgrade);
+            if (!upgradeMoves) return null;
+        }
+        return new Piece(
+            name,
+            parsed.moves,
+            !!options.royal,
+            parsed.specials,
+            options.promotionPieces || [],
+            options.promotionRank !== undefined ? options.promotionRank : -1,
+            options.promotionType || null,
+            upgradeMoves
+        );
+    }
 }
 
 // PieceGenerator moved to Generator.js. It uses `Move`, `Piece`, `Special` and is exported
@@ -94,18 +152,33 @@ class Piece {
 
 // Serialization helpers for network transfer
 class PieceSerializer {
+    static serializeMove(move) {
+        return {
+            step: move.step,
+            symmetry: move.symmetry,
+            distance: move.distance,
+            jump: move.jump,
+            requiresUnmoved: move.requiresUnmoved,
+            capture: move.capture,
+        };
+    }
+
+    static deserializeMove(moveData) {
+        return new Move(
+            moveData.step,
+            moveData.symmetry,
+            moveData.distance,
+            moveData.jump,
+            moveData.requiresUnmoved,
+            moveData.capture
+        );
+    }
+
     static serialize(pieces) {
         // Convert pieces to plain objects for JSON
         return pieces.map((piece) => ({
             name: piece.name,
-            moves: piece.moves.map((move) => ({
-                step: move.step,
-                symmetry: move.symmetry,
-                distance: move.distance,
-                jump: move.jump,
-                requiresUnmoved: move.requiresUnmoved,
-                capture: move.capture,
-            })),
+            moves: piece.moves.map((move) => this.serializeMove(move)),
             royal: piece.royal,
             specials: piece.specials.map((special) => ({
                 type: special.type,
@@ -117,6 +190,11 @@ class PieceSerializer {
             ),
             promotionRank: piece.promotionRank,
             promotionType: piece.promotionType,
+            // Pre-generated move-upgrade moves must travel with the piece so
+            // every engine (including the server's) upgrades identically.
+            upgradeMoves: (piece.upgradeMoves || []).map((move) =>
+                this.serializeMove(move)
+            ),
         }));
     }
 
@@ -130,16 +208,11 @@ class PieceSerializer {
 
         // First pass: create all pieces without promotion references
         const pieces = piecesData.map((pieceData) => {
-            const moves = pieceData.moves.map(
-                (moveData) =>
-                    new Move(
-                        moveData.step,
-                        moveData.symmetry,
-                        moveData.distance,
-                        moveData.jump,
-                        moveData.requiresUnmoved,
-                        moveData.capture
-                    )
+            const moves = pieceData.moves.map((moveData) =>
+                this.deserializeMove(moveData)
+            );
+            const upgradeMoves = (pieceData.upgradeMoves || []).map(
+                (moveData) => this.deserializeMove(moveData)
             );
 
             const specials = pieceData.specials.map(
@@ -153,7 +226,8 @@ class PieceSerializer {
                 specials,
                 [], // Temporary empty array
                 pieceData.promotionRank,
-                pieceData.promotionType
+                pieceData.promotionType,
+                upgradeMoves
             );
         });
 
@@ -166,19 +240,473 @@ class PieceSerializer {
 
         return pieces;
     }
+
+    // Problems that would stop `initializeBoard` from setting up an army:
+    // six types with the only royal at index 0 and the only pawn type
+    // (choice promotion or en passant) at index 5. Returns [] when valid.
+    static validateArmy(pieces) {
+        if (!Array.isArray(pieces) || pieces.length !== 6) {
+            return ['An army needs exactly 6 piece types'];
+        }
+        const problems = [];
+        const isPawn = (p) =>
+            p.promotionType === 'choice' ||
+            p.specials.some((s) => s.type === 'enPassant');
+
+        const royals = pieces.filter((p) => p.royal);
+        if (royals.length !== 1 || !pieces[0].royal) {
+            problems.push('Exactly one royal piece, at index 0');
+        }
+        if (!isPawn(pieces[5]) || pieces[5].royal) {
+            problems.push('Index 5 must be the pawn type');
+        }
+        if (pieces.slice(0, 5).some(isPawn)) {
+            problems.push('Only index 5 may promote by choice or en passant');
+        }
+
+        const names = new Set();
+        pieces.forEach((piece, index) => {
+            const label = `Piece ${index}`;
+            if (!piece.name || names.has(piece.name)) {
+                problems.push(`${label}: needs a unique name`);
+            }
+            names.add(piece.name);
+            if (piece.moves.length === 0) {
+                problems.push(`${label}: has no moves`);
+            }
+            piece.moves.forEach((move, i) => {
+                const problem = this.validateMove(move);
+                if (problem)
+                    problems.push(`${label}, move ${i + 1}: ${problem}`);
+            });
+            if (
+                piece.promotionType === 'choice' &&
+                (piece.promotionPieces.length === 0 ||
+                    piece.promotionPieces.some((p) => p.royal))
+            ) {
+                problems.push(`${label}: promotes to non-royal pieces only`);
+            }
+            if (
+                piece.promotionType === 'move-upgrade' &&
+                (piece.upgradeMoves || []).length === 0
+            ) {
+                problems.push(`${label}: move-upgrade needs upgrade moves`);
+            }
+        });
+        return problems;
+    }
+
+    // What is wrong with a move, or null
+    static validateMove(move) {
+        const step = move.step;
+        if (
+            !Array.isArray(step) ||
+            step.length !== 2 ||
+            !step.every((v) => Number.isInteger(v) && Math.abs(v) <= 7) ||
+            (step[0] === 0 && step[1] === 0)
+        ) {
+            return 'step must be two whole numbers from -7 to 7, not 0,0';
+        }
+        if (
+            ![null, 'Horizontal', 'Vertical', '4way', '8way'].includes(
+                move.symmetry
+            )
+        ) {
+            return `unknown symmetry ${move.symmetry}`;
+        }
+        if (
+            move.distance !== -1 &&
+            !(
+                Number.isInteger(move.distance) &&
+                move.distance >= 1 &&
+                move.distance <= 7
+            )
+        ) {
+            return 'distance must be -1 (unlimited) or 1 to 7';
+        }
+        if (!['prohibited', 'required'].includes(move.jump)) {
+            return `unknown jump rule ${move.jump}`;
+        }
+        if (!['allowed', 'prohibited', 'required'].includes(move.capture)) {
+            return `unknown capture rule ${move.capture}`;
+        }
+        return null;
+    }
 }
 
-// Development-only checks removed to reduce console noise in production
+// Betza funny-notation (https://en.wikipedia.org/wiki/Betza_notation)
+//
+// Atoms by leap: W (1,0), F (1,1), D (2,0), N (2,1), A (2,2), H (3,0),
+// C (3,1), Z (3,2), G (3,3). A doubled atom rides without limit and a
+// trailing number caps the ride (NN, N2 / NN2); R, B, Q and K are WW, FF,
+// WW+FF and W+F. Modifiers before the atom:
+//   m / c   move only / capture only (capture 'prohibited' / 'required')
+//   i       first move only (requiresUnmoved)
+//   n       non-jumping: a single multi-square leap with jump 'prohibited'.
+//           The engine only blocks between repeated steps, so this keeps the
+//           flag through a round trip but does not make the leap lame.
+//   e       en passant capture (the piece's enPassant special)
+//   f b l r v s and pairs like fr, ff, fs   directions, forward is dy > 0
+//           and left/right are seen from white's side
+// O (castling) is the royal's castling special. Royalty and promotion are
+// not part of the notation.
+class BetzaNotation {
+    static atoms = {
+        '1,0': 'W',
+        '1,1': 'F',
+        '2,0': 'D',
+        '2,1': 'N',
+        '2,2': 'A',
+        '3,0': 'H',
+        '3,1': 'C',
+        '3,2': 'Z',
+        '3,3': 'G',
+    };
+
+    // Shorthands expanding to several atoms: [atom, rides]
+    static compounds = {
+        R: [['W', true]],
+        B: [['F', true]],
+        Q: [
+            ['W', true],
+            ['F', true],
+        ],
+        K: [
+            ['W', false],
+            ['F', false],
+        ],
+    };
+
+    // [a, b] leap (a >= b) for an atom letter
+    static atomLeap(letter) {
+        const key = Object.keys(this.atoms).find(
+            (k) => this.atoms[k] === letter
+        );
+        return key ? key.split(',').map(Number) : null;
+    }
 
-// Export for Node testing/runtime if available
-if (typeof module !== 'undefined' && module.exports) {
-    // PieceGenerator is exported from Generator.js
-    module.exports.Piece = Piece;
-    module.exports.Move = Move;
-    module.exports.Special = Special;
-    module.exports.PieceSerializer = PieceSerializer;
+    // Direction modifier -> [[dx, dy]] for an atom, largest groups first
+    static directions(a, b) {
+        const dirs = {};
+        const group = (...names) => names.flatMap((n) => dirs[n]);
+        if (b === 0) {
+            Object.assign(dirs, {
+                f: [[0, a]],
+                b: [[0, -a]],
+                l: [[-a, 0]],
+                r: [[a, 0]],
+            });
+            return { v: group('f', 'b'), s: group('l', 'r'), ...dirs };
+        }
+        if (a === b) {
+            Object.assign(dirs, {
+                fl: [[-a, a]],
+                fr: [[a, a]],
+                bl: [[-a, -a]],
+                br: [[a, -a]],
+            });
+            return {
+                f: group('fl', 'fr'),
+                b: group('bl', 'br'),
+                l: group('fl', 'bl'),
+                r: group('fr', 'br'),
+                ...dirs,
+            };
+        }
+        // Oblique: fr is the forward-right move nearer forward, rf the one
+        // nearer right; doubled letters mean the narrow pair on that side
+        Object.assign(dirs, {
+            fl: [[-b, a]],
+            fr: [[b, a]],
+            bl: [[-b, -a]],
+            br: [[b, -a]],
+            lf: [[-a, b]],
+            rf: [[a, b]],
+            lb: [[-a, -b]],
+            rb: [[a, -b]],
+        });
+        const singles = { ...dirs };
+        const pairs = {
+            ff: group('fl', 'fr'),
+            bb: group('bl', 'br'),
+            ll: group('lf', 'lb'),
+            rr: group('rf', 'rb'),
+            fs: group('lf', 'rf'),
+            bs: group('lb', 'rb'),
+            lv: group('fl', 'bl'),
+            rv: group('fr', 'br'),
+        };
+        Object.assign(dirs, pairs);
+        const quads = {
+            f: group('ff', 'fs'),
+            b: group('bb', 'bs'),
+            l: group('ll', 'lv'),
+            r: group('rr', 'rv'),
+            v: group('ff', 'bb'),
+            s: group('ll', 'rr'),
+        };
+        return { ...quads, ...pairs, ...singles };
+    }
+
+    // Moves grouped by atom and attributes, with their steps merged, so a
+    // piece split over several Moves still reads as one term per group
+    static moveGroups(moves) {
+        const groups = new Map();
+        for (const move of moves) {
+            const steps = move
+                .getSteps()
+                .filter(
+                    ([dx, dy]) => Number.isFinite(dx) && Number.isFinite(dy)
+                );
+            if (steps.length === 0) continue;
+
+            const [dx, dy] = steps[0];
+            const a = Math.max(Math.abs(dx), Math.abs(dy));
+            const b = Math.min(Math.abs(dx), Math.abs(dy));
+            const atom = this.atoms[`${a},${b}`];
+            if (!atom) {
+                console.warn(`No Betza atom for step [${dx}, ${dy}]`);
+                continue;
+            }
+
+            // A required jump only ever leaps once
+            const distance = move.jump === 'required' ? 1 : move.distance;
+            const unit = atom === 'W' || atom === 'F';
+            const lame = !unit && distance === 1 && move.jump === 'prohibited';
+            const key = `${atom}|${distance}|${lame}|${move.requiresUnmoved}|${move.capture}`;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    a,
+                    b,
+                    atom,
+                    distance,
+                    lame,
+                    requiresUnmoved: move.requiresUnmoved,
+                    capture: move.capture,
+                    keys: new Set(),
+                });
+            }
+            steps.forEach((s) => groups.get(key).keys.add(`${s[0]},${s[1]}`));
+        }
+        return [...groups.values()];
+    }
+
+    // Betza terms for one move group; `enPassant` marks capture-only terms
+    static groupTerms(group, enPassant = false) {
+        const { atom, distance } = group;
+        const unit = atom === 'W' || atom === 'F';
+        let body;
+        if (distance === 1) body = atom;
+        else if (unit) body = atom === 'W' ? 'R' : 'B';
+        else body = atom + atom;
+        if (distance > 1) body += distance;
+
+        const prefix = group.requiresUnmoved ? 'i' : '';
+        let suffix = '';
+        if (group.capture === 'prohibited') suffix += 'm';
+        if (group.capture === 'required') suffix += enPassant ? 'ce' : 'c';
+        if (group.lame) suffix += 'n';
+
+        // Cover the steps with the largest direction groups that fit
+        const directions = this.directions(group.a, group.b);
+        const all = new Set(
+            Object.values(directions)
+                .flat()
+                .map((s) => `${s[0]},${s[1]}`)
+        );
+        if (group.keys.size === all.size) return [prefix + suffix + body];
+
+        const terms = [];
+        const covered = new Set();
+        for (const [name, steps] of Object.entries(directions)) {
+            const keys = steps.map((s) => `${s[0]},${s[1]}`);
+            if (keys.every((k) => group.keys.has(k) && !covered.has(k))) {
+                keys.forEach((k) => covered.add(k));
+                terms.push(prefix + name + suffix + body);
+            }
+        }
+        return terms;
+    }
+
+    // Betza string for a move list (and optional specials)
+    static fromMoves(moves, specials = []) {
+        const enPassant = specials.some((s) => s.type === 'enPassant');
+        const terms = this.moveGroups(moves).flatMap((g) =>
+            this.groupTerms(g, enPassant)
+        );
+
+        // Fold plain W+F into K and R+B into Q
+        for (const [parts, compound] of [
+            [['W', 'F'], 'K'],
+            [['R', 'B'], 'Q'],
+        ]) {
+            if (parts.every((p) => terms.includes(p))) {
+                terms[terms.indexOf(parts[0])] = compound;
+                terms.splice(terms.indexOf(parts[1]), 1);
+            }
+        }
+        if (specials.some((s) => s.type === 'castling')) terms.push('isO2');
+
+        // A term starting with the atom the previous one ended on would
+        // read as a rider ("W" + "W2" is "WW2"), so space those apart
+        return terms.reduce((out, term) => {
+            const ambiguous = out && out[out.length - 1] === term[0];
+            return out + (ambiguous ? ' ' : '') + term;
+        }, '');
+    }
+
+    // Parse a Betza string into {moves: [Move], specials: [Special]}, or
+    // warn and return null
+    static parse(str) {
+        if (typeof str !== 'string') {
+            console.warn('Betza notation must be a string');
+            return null;
+        }
+        const termPattern = /\s*([a-z]*)([A-Z])(\2?)(\d*)\s*/g;
+        const compact = str.trim();
+        const groups = new Map();
+        const specials = [];
+        let consumed = 0;
+        let match;
+
+        while ((match = termPattern.exec(compact)) !== null) {
+            if (match.index !== consumed) break;
+            consumed = termPattern.lastIndex;
+            const [, mods, letter, doubled, digits] = match;
+
+            if (letter === 'O') {
+                if (!specials.some((s) => s.type === 'castling')) {
+                    specials.push(new Special('castling', {}));
+                }
+                continue;
+            }
+
+            const parts = this.compounds[letter]
+                ? this.compounds[letter].map(([atom, rides]) => [
+                      atom,
+                      rides || !!doubled,
+                  ])
+                : [[letter, !!doubled]];
+
+            for (const [atom, rides] of parts) {
+                const term = this.parseTerm(mods, atom, rides, digits);
+                if (!term) return null;
+                if (
+                    term.enPassant &&
+                    !specials.some((s) => s.type === 'enPassant')
+                ) {
+                    specials.push(new Special('enPassant', {}));
+                }
+                const key = `${atom}|${term.distance}|${term.jump}|${term.requiresUnmoved}|${term.capture}`;
+                if (!groups.has(key)) groups.set(key, { ...term, keys: [] });
+                const group = groups.get(key);
+                for (const step of term.keys) {
+                    if (!group.keys.includes(step)) group.keys.push(step);
+                }
+            }
+        }
+
+        if (consumed !== compact.length || compact.length === 0) {
+            console.warn(`Invalid Betza notation: "${str}"`);
+            return null;
+        }
+
+        const moves = [];
+        for (const group of groups.values()) {
+            moves.push(...this.movesForSteps(group));
+        }
+        return { moves, specials };
+    }
+
+    // One term's move attributes and step keys, or null if it is invalid
+    static parseTerm(mods, atom, rides, digits) {
+        const leap = this.atomLeap(atom);
+        if (!leap) {
+            console.warn(`Unknown Betza atom "${atom}"`);
+            return null;
+        }
+        const unknown = mods.replace(/[fblrvsmcine]/g, '');
+        if (unknown) {
+            console.warn(`Unknown Betza modifier "${unknown}"`);
+            return null;
+        }
+
+        const [a, b] = leap;
+        const directions = this.directions(a, b);
+        const dirName = mods.replace(/[mcine]/g, '');
+        let steps;
+        if (!dirName) {
+            steps = Object.values(directions).flat();
+        } else if (directions[dirName]) {
+            steps = directions[dirName];
+        } else if ([...dirName].every((d) => directions[d])) {
+            steps = [...dirName].flatMap((d) => directions[d]);
+        } else {
+            console.warn(`Invalid Betza direction "${dirName}" for ${atom}`);
+            return null;
+        }
+
+        const range = digits ? Number(digits) : null;
+        const distance = range !== null ? range : rides ? -1 : 1;
+        const unit = atom === 'W' || atom === 'F';
+        const moveOnly = mods.includes('m');
+        const captureOnly = mods.includes('c') || mods.includes('e');
+        return {
+            distance,
+            jump:
+                unit || distance !== 1 || mods.includes('n')
+                    ? 'prohibited'
+                    : 'required',
+            requiresUnmoved: mods.includes('i'),
+            capture:
+                moveOnly === captureOnly
+                    ? 'allowed'
+                    : moveOnly
+                    ? 'prohibited'
+                    : 'required',
+            enPassant: mods.includes('e'),
+            keys: steps.map((s) => `${s[0]},${s[1]}`),
+        };
+    }
+
+    // Fewest symmetric Moves covering a group's steps, largest first
+    static movesForSteps(group) {
+        const remaining = new Set(group.keys);
+        const moves = [];
+        const symmetries = ['8way', '4way', 'Horizontal', 'Vertical', null];
+        while (remaining.size > 0) {
+            let best = null;
+            for (const key of remaining) {
+                const step = key.split(',').map(Number);
+                for (const symmetry of symmetries) {
+                    const move = new Move(
+                        step,
+                        symmetry,
+                        group.distance,
+                        group.jump,
+                        group.requiresUnmoved,
+                        group.capture
+                    );
+                    const covers = move
+                        .getSteps()
+                        .map((s) => `${s[0]},${s[1]}`);
+                    if (
+                        covers.every((k) => remaining.has(k)) &&
+                        (!best || covers.length > best.covers.length)
+                    ) {
+                        best = { move, covers };
+                    }
+                }
+            }
+            best.covers.forEach((k) => remaining.delete(k));
+            moves.push(best.move);
+        }
+        return moves;
+    }
 }
 
+// Development-only checks removed to reduce console noise in production
+
 // Expose as ES module exports and attach to window for backwards compatibility
 try {
     // Attach to window when running in browser so legacy scripts continue to work
@@ -188,10 +716,11 @@ try {
         window.Move = Move;
         window.Special = Special;
         window.PieceSerializer = PieceSerializer;
+        window.BetzaNotation = BetzaNotation;
     }
 } catch (e) {
     /* ignore in non-browser environments */
 }
 
 // ES module exports
-export { Piece, Move, Special, PieceSerializer };
+export { Piece, Move, Special, PieceSerializer, BetzaNotation };
@@ -11,19 +11,32 @@ class BoardRenderer {
         this.boardElement = boardElement;
         this.pieceGenerator = pieceGenerator;
         this.movementOverlay = document.getElementById('movement-overlay');
+        this.moveListElement = document.getElementById('move-list');
+        this.reserveElement = document.getElementById('reserve-tray');
         this.playerColor = null; // 'white', 'black', or null for white's perspective
         this.defeatedColor = null; // when set to 'white' or 'black', show royal as defeated for that side
+        this.fogColor = null; // fog of war: draw the board as this side sees it
         this.selectedSquare = null; // {row, col}
         this.validMoves = []; // [{row, col}]
         this.theoreticalMoves = new Map(); // position -> {canMove, canCapture}
         this.unrestrictedPattern = new Map(); // Extended pattern for visualization
         this.onSquareClick = null; // Callback for square clicks
+        this.selectedDrop = null; // {color, index} of the chosen reserve piece
+        this.onReserveClick = null; // Callback for reserve tray clicks
+        this.rows = 8; // board dimensions, taken from the last rendered board
+        this.cols = 8;
     }
 
     setPlayerColor(color) {
         this.playerColor = color;
     }
 
+    // Fog of war: squares `color` cannot see are fogged and their pieces
+    // hidden, as are the other side's moves in the move list (null: off)
+    setFog(color) {
+        this.fogColor = color;
+    }
+
     setSelection(
         square,
         validMoves = [],
@@ -37,14 +50,36 @@ class BoardRenderer {
         this.renderMovementOverlay();
     }
 
+    // Drop mode: highlight a reserve piece and the squares it can drop on
+    setDropSelection(drop, targets = []) {
+        this.selectedSquare = null;
+        this.selectedDrop = drop;
+        this.validMoves = targets;
+        this.theoreticalMoves = new Map();
+        this.unrestrictedPattern = new Map();
+        this.renderMovementOverlay();
+    }
+
     clearSelection() {
         this.selectedSquare = null;
+        this.selectedDrop = null;
         this.validMoves = [];
         this.theoreticalMoves = new Map();
         this.unrestrictedPattern = new Map();
         this.renderMovementOverlay();
     }
 
+    // Board square size in pixels: the --square-size the stylesheet sets on
+    // the board container (smaller on narrow screens)
+    squareSize() {
+        const size = parseFloat(
+            getComputedStyle(this.boardElement).getPropertyValue(
+                '--square-size'
+            )
+        );
+        return size > 0 ? size : 75;
+    }
+
     // Render the extended movement pattern overlay
     renderMovementOverlay() {
         if (!this.movementOverlay) return;
@@ -74,34 +109,35 @@ class BoardRenderer {
 
         // Ensure we show at least some context
         minRow = Math.min(minRow, -2);
-        maxRow = Math.max(maxRow, 9);
+        maxRow = Math.max(maxRow, this.rows + 1);
         minCol = Math.min(minCol, -2);
-        maxCol = Math.max(maxCol, 9);
+        maxCol = Math.max(maxCol, this.cols + 1);
 
         const rows = maxRow - minRow + 1;
         const cols = maxCol - minCol + 1;
 
         // Set up grid with exact square sizes matching the board
-        this.movementOverlay.style.gridTemplateColumns = `repeat(${cols}, 75px)`;
-        this.movementOverlay.style.gridTemplateRows = `repeat(${rows}, 75px)`;
+        const size = this.squareSize();
+        this.movementOverlay.style.gridTemplateColumns = `repeat(${cols}, ${size}px)`;
+        this.movementOverlay.style.gridTemplateRows = `repeat(${rows}, ${size}px)`;
 
         // Position the overlay so the board squares align perfectly
-        // The board always shows row 0 at the top (for white) or row 7 at top (for black)
+        // The board always shows row 0 at the top (for white) or the last row at top (for black)
         // We need to align square [0,0] in both grids
         let offsetRow, offsetCol;
 
         if (this.playerColor === 'black') {
-            // Black perspective: row 7 is at top, row 0 at bottom
-            offsetRow = maxRow - 7;
-            offsetCol = maxCol - 7;
+            // Black perspective: last row is at top, row 0 at bottom
+            offsetRow = maxRow - (this.rows - 1);
+            offsetCol = maxCol - (this.cols - 1);
         } else {
-            // White perspective: row 0 is at top, row 7 at bottom
+            // White perspective: row 0 is at top, last row at bottom
             offsetRow = 0 - minRow;
             offsetCol = 0 - minCol;
         }
 
-        const topOffset = -offsetRow * 75;
-        const leftOffset = -offsetCol * 75;
+        const topOffset = -offsetRow * size;
+        const leftOffset = -offsetCol * size;
 
         this.movementOverlay.style.top = `${topOffset}px`;
         this.movementOverlay.style.left = `${leftOffset}px`;
@@ -120,7 +156,8 @@ class BoardRenderer {
                 square.className = 'overlay-square';
 
                 // Check if this is on the actual board
-                const onBoard = row >= 0 && row <= 7 && col >= 0 && col <= 7;
+                const onBoard =
+                    row >= 0 && row < this.rows && col >= 0 && col < this.cols;
                 if (onBoard) {
                     square.classList.add('on-board');
                 }
@@ -158,14 +195,31 @@ class BoardRenderer {
     render(board, lastMove = null, engine = null) {
         this.boardElement.innerHTML = '';
 
+        // Size the grid to the board (style.css reads these variables)
+        this.rows = board.length;
+        this.cols = board[0].length;
+        const container = this.boardElement.parentElement || this.boardElement;
+        container.style.setProperty('--board-rows', this.rows);
+        container.style.setProperty('--board-cols', this.cols);
+
         // Render from player's perspective
-        const startRow = this.playerColor === 'black' ? 7 : 0;
-        const endRow = this.playerColor === 'black' ? -1 : 8;
+        const startRow = this.playerColor === 'black' ? this.rows - 1 : 0;
+        const endRow = this.playerColor === 'black' ? -1 : this.rows;
         const rowStep = this.playerColor === 'black' ? -1 : 1;
-        const startCol = this.playerColor === 'black' ? 7 : 0;
-        const endCol = this.playerColor === 'black' ? -1 : 8;
+        const startCol = this.playerColor === 'black' ? this.cols - 1 : 0;
+        const endCol = this.playerColor === 'black' ? -1 : this.cols;
         const colStep = this.playerColor === 'black' ? -1 : 1;
 
+        const visible =
+            this.fogColor && engine
+                ? engine.getVisibleSquares(this.fogColor)
+                : null;
+        const lastMoveVisible =
+            lastMove &&
+            (!visible ||
+                (visible.has(`${lastMove.fromRow},${lastMove.fromCol}`) &&
+                    visible.has(`${lastMove.toRow},${lastMove.toCol}`)));
+
         for (let row = startRow; row !== endRow; row += rowStep) {
             for (let col = startCol; col !== endCol; col += colStep) {
                 const square = document.createElement('div');
@@ -174,7 +228,10 @@ class BoardRenderer {
                 square.dataset.row = row;
                 square.dataset.col = col;
 
-                const cellData = board[row][col];
+                const fogged = visible && !visible.has(`${row},${col}`);
+                if (fogged) square.classList.add('fogged');
+
+                const cellData = fogged ? null : board[row][col];
                 if (cellData) {
                     // Create canvas icon showing movement pattern (use 80 which divides evenly by 8)
                     // Pass player perspective so pieces flip when viewing as black
@@ -182,7 +239,8 @@ class BoardRenderer {
                     const isPromotionSquare =
                         cellData.piece.promotionType === 'move-upgrade' &&
                         ((cellData.color === 'white' && row === 0) ||
-                            (cellData.color === 'black' && row === 7));
+                            (cellData.color === 'black' &&
+                                row === this.rows - 1));
 
                     const defeated =
                         this.defeatedColor &&
@@ -244,12 +302,21 @@ class BoardRenderer {
                                         !Number.isFinite(c)
                                     )
                                         continue;
-                                    if (r < 0 || r > 7 || c < 0 || c > 7)
+                                    if (
+                                        r < 0 ||
+                                        r >= this.rows ||
+                                        c < 0 ||
+                                        c >= this.cols
+                                    )
                                         continue;
                                     const sq = this.boardElement.querySelector(
                                         `.square[data-row="${r}"][data-col="${c}"]`
                                     );
-                                    if (sq) {
+                                    // Fog of war: nothing shows through the fog
+                                    if (
+                                        sq &&
+                                        !sq.classList.contains('fogged')
+                                    ) {
                                         sq.classList.add('threat');
                                         threatened.push(sq);
                                     }
@@ -291,7 +358,7 @@ class BoardRenderer {
                 }
 
                 // Highlight last move (from/to)
-                if (lastMove) {
+                if (lastMoveVisible) {
                     const fromMatch =
                         lastMove.fromRow === row && lastMove.fromCol === col;
                     const toMatch =
@@ -306,6 +373,101 @@ class BoardRenderer {
                 this.boardElement.appendChild(square);
             }
         }
+
+        if (engine && Array.isArray(engine.moveHistory)) {
+            this.renderMoveList(engine.moveHistory);
+        }
+        this.renderReserves(engine);
+    }
+
+    // Drop mode: both sides' captured pieces with counts, the opponent's
+    // row first. Hidden when the engine has no reserves.
+    renderReserves(engine) {
+        if (!this.reserveElement) return;
+        this.reserveElement.innerHTML = '';
+        if (!engine || !engine.drops) {
+            this.reserveElement.classList.add('hidden');
+            return;
+        }
+        this.reserveElement.classList.remove('hidden');
+
+        const bottom = this.playerColor || 'white';
+        const top = bottom === 'white' ? 'black' : 'white';
+        const generator =
+            this.pieceGenerator ||
+            (typeof window !== 'undefined' ? window.PieceGenerator : null);
+        for (const color of [top, bottom]) {
+            const row = document.createElement('div');
+            row.className = `reserve-row ${color}`;
+            const army = engine.armyFor(color);
+            engine.reserves[color].forEach((count, index) => {
+                if (count === 0) return;
+                const entry = document.createElement('div');
+                entry.className = 'reserve-piece';
+                entry.dataset.color = color;
+                entry.dataset.index = index;
+                if (
+                    this.selectedDrop &&
+                    this.selectedDrop.color === color &&
+                    this.selectedDrop.index === index
+                ) {
+                    entry.classList.add('selected');
+                }
+                const icon =
+                    generator &&
+                    typeof generator.createMovementPatternIcon === 'function'
+                        ? generator.createMovementPatternIcon(
+                              army[index],
+                              40,
+                              color,
+                              this.playerColor,
+                              false,
+                              false
+                          )
+                        : document.createElement('div');
+                icon.className = `piece ${color}`;
+                entry.appendChild(icon);
+                const badge = document.createElement('span');
+                badge.className = 'reserve-count';
+                badge.textContent = count;
+                entry.appendChild(badge);
+                row.appendChild(entry);
+            });
+            this.reserveElement.appendChild(row);
+        }
+    }
+
+    // Render the engine's ply list as numbered move pairs ("1. e4 e5")
+    renderMoveList(history) {
+        if (!this.moveListElement) return;
+        this.moveListElement.innerHTML = '';
+
+        let row = null;
+        let number = 0;
+        for (const entry of history) {
+            // Start a new row on every white move, or when black moved first
+            if (!row || entry.color === 'white') {
+                number++;
+                row = document.createElement('li');
+                row.className = 'move-row';
+                const label = document.createElement('span');
+                label.className = 'move-number';
+                label.textContent =
+                    entry.color === 'white' ? `${number}.` : `${number}...`;
+                row.appendChild(label);
+                this.moveListElement.appendChild(row);
+            }
+            const ply = document.createElement('span');
+            ply.className = `move-ply ${entry.color}`;
+            ply.textContent =
+                this.fogColor && entry.color !== this.fogColor
+                    ? '?'
+                    : entry.notation;
+            row.appendChild(ply);
+        }
+
+        // Keep the latest move in view
+        this.moveListElement.scrollTop = this.moveListElement.scrollHeight;
     }
 
     // Attach click event listener
@@ -324,6 +486,23 @@ class BoardRenderer {
             }
         });
     }
+
+    // Attach the reserve tray click listener; later calls only replace the
+    // callback, so controllers can call this on every start
+    attachReserveListener(callback) {
+        const attached = this.onReserveClick !== null;
+        this.onReserveClick = callback;
+        if (!this.reserveElement || attached) return;
+
+        this.reserveElement.addEventListener('click', (e) => {
+            const entry = e.target.closest('.reserve-piece');
+            if (!entry || !this.onReserveClick) return;
+            this.onReserveClick(
+                entry.dataset.color,
+                parseInt(entry.dataset.index)
+            );
+        });
+    }
 }
 
 // UI Manager for messages and controls
@@ -358,6 +537,17 @@ class UIManager {
         this.resetBtn = document.getElementById('reset-btn');
         this.drawBtn = document.getElementById('draw-btn');
         this.forfeitBtn = document.getElementById('forfeit-btn');
+        this.downloadRecordBtn = document.getElementById('download-record-btn');
+        this.uploadRecordBtn = document.getElementById('upload-record-btn');
+        this.recordFileInput = document.getElementById('record-file-input');
+        this.armyEditorBtn = document.getElementById('army-editor-btn');
+        this.asymmetricBtn = document.getElementById('asymmetric-btn');
+        this.boardSizeBtn = document.getElementById('board-size-btn');
+        this.rulesBtn = document.getElementById('rules-btn');
+        this.dropsBtn = document.getElementById('drops-btn');
+        this.fogBtn = document.getElementById('fog-btn');
+        this.chess960Btn = document.getElementById('chess960-btn');
+        this.tablebaseElement = document.getElementById('tablebase-status');
         this.resultOverlay = document.getElementById('result-overlay');
         this.resultEmoji = document.getElementById('result-emoji');
         this.resultTitle = document.getElementById('result-title');
@@ -646,6 +836,27 @@ class UIManager {
         this.thinkingBubble.textContent = emoji;
     }
 
+    // Show what the endgame tables say about the position (the result of
+    // EndgameSolver.probe for `color` to move), or hide it for null
+    setTablebase(probe, color) {
+        if (!this.tablebaseElement) return;
+        let text = '';
+        if (probe && probe.result === 'draw') {
+            text = '🤝 Tablebase draw';
+        } else if (probe && probe.dtm > 0) {
+            const winner =
+                probe.result === 'win'
+                    ? color
+                    : color === 'white'
+                    ? 'black'
+                    : 'white';
+            const moves = Math.ceil(probe.dtm / 2);
+            text = `${winner === 'white' ? '⚪' : '⚫'} Mate in ${moves}`;
+        }
+        this.tablebaseElement.textContent = text;
+        this.tablebaseElement.classList.toggle('hidden', !text);
+    }
+
     // Set both clocks manually (keeps alingual format). If passed a numeric string like '00:00', applies to both.
     setClock(text) {
         const hasDigits = /\d/.test(text || '');
@@ -832,6 +1043,102 @@ class UIManager {
         this.forfeitBtn.style.opacity = enabled ? '1' : '0.5';
     }
 
+    onDownloadRecordClick(callback) {
+        if (this.downloadRecordBtn)
+            this.downloadRecordBtn.addEventListener('click', callback);
+    }
+
+    // Open a file picker and pass the chosen file's text to `callback`
+    onUploadRecord(callback) {
+        if (!this.uploadRecordBtn || !this.recordFileInput) return;
+        this.uploadRecordBtn.addEventListener('click', () =>
+            this.recordFileInput.click()
+        );
+        this.recordFileInput.addEventListener('change', () => {
+            const file = this.recordFileInput.files[0];
+            // Reset so picking the same file again still fires 'change'
+            this.recordFileInput.value = '';
+            if (!file) return;
+            file.text()
+                .then(callback)
+                .catch((e) => console.warn('Failed to read game record', e));
+        });
+    }
+
+    onArmyEditorClick(callback) {
+        if (this.armyEditorBtn)
+            this.armyEditorBtn.addEventListener('click', callback);
+    }
+
+    onAsymmetricClick(callback) {
+        if (this.asymmetricBtn)
+            this.asymmetricBtn.addEventListener('click', callback);
+    }
+
+    setAsymmetric(enabled) {
+        if (!this.asymmetricBtn) return;
+        this.asymmetricBtn.classList.toggle('toggled', enabled);
+        this.asymmetricBtn.setAttribute('aria-pressed', String(enabled));
+    }
+
+    onBoardSizeClick(callback) {
+        if (this.boardSizeBtn)
+            this.boardSizeBtn.addEventListener('click', callback);
+    }
+
+    // `label` is COLSxROWS, e.g. '10x8'
+    setBoardSize(label) {
+        if (!this.boardSizeBtn) return;
+        this.boardSizeBtn.title = `Board size ${label}`;
+        this.boardSizeBtn.setAttribute('aria-label', `Board size ${label}`);
+    }
+
+    onRulesClick(callback) {
+        if (this.rulesBtn) this.rulesBtn.addEventListener('click', callback);
+    }
+
+    // `label` is the rule set's display name, e.g. 'Three-check'
+    setRules(label) {
+        if (!this.rulesBtn) return;
+        this.rulesBtn.title = `Rules: ${label}`;
+        this.rulesBtn.setAttribute('aria-label', `Rules: ${label}`);
+    }
+
+    onDropsClick(callback) {
+        if (this.dropsBtn) this.dropsBtn.addEventListener('click', callback);
+    }
+
+    setDrops(enabled) {
+        if (!this.dropsBtn) return;
+        this.dropsBtn.classList.toggle('toggled', enabled);
+        this.dropsBtn.setAttribute('aria-pressed', String(enabled));
+    }
+
+    onFogOfWarClick(callback) {
+        if (this.fogBtn) this.fogBtn.addEventListener('click', callback);
+    }
+
+    // `conflict` is why the current rule set rules fog out (see
+    // RuleSet.fogConflict), shown as the button's title
+    setFogOfWar(enabled, conflict = null) {
+        if (!this.fogBtn) return;
+        this.fogBtn.classList.toggle('toggled', enabled);
+        this.fogBtn.classList.toggle('unavailable', !!conflict);
+        this.fogBtn.setAttribute('aria-pressed', String(enabled));
+        this.fogBtn.title = conflict ? `Fog of war: ${conflict}` : 'Fog of war';
+    }
+
+    onChess960Click(callback) {
+        if (this.chess960Btn)
+            this.chess960Btn.addEventListener('click', callback);
+    }
+
+    setChess960(enabled) {
+        if (!this.chess960Btn) return;
+        this.chess960Btn.classList.toggle('toggled', enabled);
+        this.chess960Btn.setAttribute('aria-pressed', String(enabled));
+    }
+
     onModeOnlineClick(callback) {
         if (this.modeOnlineButton)
             this.modeOnlineButton.addEventListener('click', callback);
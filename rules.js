@@ -0,0 +1,242 @@
+// ===== Rule Sets =====
+// Win conditions consulted by ChessEngine after every completed move. A rule
+// set can keep bookkeeping per move (`afterMove`), end the game itself
+// (`result`), decide what having no legal moves means (`noMovesResult`) and
+// switch off the rule that moves may not leave the royal attacked
+// (`checkRules`). Results are `{winner, reason}` with winner
+// 'white' | 'black' | 'draw'.
+//
+// Rule state (`engine.ruleState`) is treated as immutable: rule sets replace
+// it rather than editing it, so makeMoveUnsafe/undoMove can restore it by
+// reference.
+
+function opponent(color) {
+    return color === 'white' ? 'black' : 'white';
+}
+
+class RuleSet {
+    constructor(name, label) {
+        this.name = name;
+        this.label = label;
+        // false: moves may leave the royal attacked (it can be captured)
+        this.checkRules = true;
+        // false: results depend on rule state, not just the board, so
+        // endgames can't be solved in advance (see endgame.js)
+        this.positional = true;
+    }
+
+    // Rule state for a freshly set-up board: initialState(engine)
+    initialState() {
+        return null;
+    }
+
+    // Update `engine.ruleState` once the mover has completed a move:
+    // afterMove(engine, mover)
+    afterMove() {}
+
+    // Result of the position the mover's last move reached, or null to
+    // play on: result(engine, mover)
+    result() {
+        return null;
+    }
+
+    // Result when the side to move has no legal moves, or null for the
+    // standard outcome (checkmate when in check, otherwise stalemate):
+    // noMovesResult(engine)
+    noMovesResult() {
+        return null;
+    }
+
+    // Small integer for the part of `state` that can change a position's
+    // outcome, mixed into the engine's Zobrist key (0: none):
+    // stateKey(state)
+    stateKey() {
+        return 0;
+    }
+
+    // Rule set by name (or an instance passed through); unknown names fall
+    // back to standard checkmate with a warning
+    static get(rules) {
+        if (rules instanceof RuleSet) return rules;
+        if (!rules) return RULE_SETS.checkmate;
+        if (!RULE_SETS[rules]) {
+            console.warn(`Unknown rule set "${rules}", using checkmate`);
+            return RULE_SETS.checkmate;
+        }
+        return RULE_SETS[rules];
+    }
+
+    // Why `rules` can't be played under fog of war, or null if it can. Check
+    // can't be enforced or announced without giving hidden attackers away,
+    // and rule sets with check rules can't be won without it, so fog only
+    // goes with the rule sets that have none.
+    static fogConflict(rules) {
+        const ruleSet = RuleSet.get(rules);
+        if (!ruleSet.checkRules) return null;
+        const allowed = Object.values(RULE_SETS)
+            .filter((r) => !r.checkRules)
+            .map((r) => r.label.toLowerCase());
+        return (
+            `${ruleSet.label} needs check, which fog of war would give ` +
+            `away; play fog with ${allowed.join(' or ')}`
+        );
+    }
+
+    static isValid(name) {
+        return Object.prototype.hasOwnProperty.call(RULE_SETS, name);
+    }
+
+    static names() {
+        return Object.keys(RULE_SETS);
+    }
+}
+
+// Standard rules: checkmate wins, stalemate draws
+class CheckmateRules extends RuleSet {
+    constructor() {
+        super('checkmate', 'Checkmate');
+    }
+}
+
+// The original RandoChess rules (see CHECKMATE_UPDATE.md): no check, the
+// game ends when a royal piece is captured
+class RoyalCaptureRules extends RuleSet {
+    constructor() {
+        super('royal-capture', 'Royal capture');
+        this.checkRules = false;
+    }
+
+    result(engine, mover) {
+        if (engine.findKing(opponent(mover))) return null;
+        return { winner: mover, reason: 'Royal captured' };
+    }
+}
+
+// A side loses when every piece of one of its types is gone (promotions
+// can extinguish the mover's own pawns too)
+class ExtinctionRules extends RuleSet {
+    constructor() {
+        super('extinction', 'Extinction');
+        this.checkRules = false;
+        this.positional = false;
+    }
+
+    // Piece type names each side started with
+    initialState(engine) {
+        const present = this._typesOnBoard(engine);
+        return {
+            types: { white: [...present.white], black: [...present.black] },
+        };
+    }
+
+    result(engine, mover) {
+        const state = engine.ruleState || this.initialState(engine);
+        const present = this._typesOnBoard(engine);
+        // The side that just lost material is checked first
+        for (const color of [opponent(mover), mover]) {
+            const missing = state.types[color].find(
+                (name) => !present[color].has(name)
+            );
+            if (missing) {
+                return { winner: opponent(color), reason: 'Extinction' };
+            }
+        }
+        return null;
+    }
+
+    _typesOnBoard(engine) {
+        const present = { white: new Set(), black: new Set() };
+        for (let row = 0; row < engine.rows; row++) {
+            for (let col = 0; col < engine.cols; col++) {
+                const cell = engine.board[row][col];
+                if (cell) present[cell.color].add(cell.piece.name);
+            }
+        }
+        return present;
+    }
+}
+
+// A royal reaching one of the central squares (2x2 block, centred on any
+// board size) wins
+class KingOfTheHillRules extends RuleSet {
+    constructor() {
+        super('king-of-the-hill', 'King of the hill');
+    }
+
+    isHill(engine, row, col) {
+        const top = Math.floor((engine.rows - 1) / 2);
+        const left = Math.floor((engine.cols - 1) / 2);
+        return row >= top && row <= top + 1 && col >= left && col <= left + 1;
+    }
+
+    result(engine, mover) {
+        const king = engine.findKing(mover);
+        if (!king || !this.isHill(engine, king.row, king.col)) return null;
+        return { winner: mover, reason: 'King of the hill' };
+    }
+}
+
+// Giving check for the third time wins
+class ThreeCheckRules extends RuleSet {
+    constructor() {
+        super('three-check', 'Three-check');
+        this.limit = 3;
+        this.positional = false;
+    }
+
+    initialState() {
+        return { checks: { white: 0, black: 0 } };
+    }
+
+    afterMove(engine, mover) {
+        if (!engine.isInCheck(opponent(mover))) return;
+        const state = engine.ruleState || this.initialState();
+        const checks = { ...state.checks, [mover]: state.checks[mover] + 1 };
+        engine.ruleState = { ...state, checks };
+    }
+
+    result(engine, mover) {
+        const state = engine.ruleState || this.initialState();
+        if (state.checks[mover] < this.limit) return null;
+        return { winner: mover, reason: 'Three checks' };
+    }
+
+    // Checks given by each side (positions with other counts can end
+    // differently)
+    stateKey(state) {
+        if (!state) return 0;
+        return state.checks.white * (this.limit + 1) + state.checks.black;
+    }
+}
+
+// Stalemate loses for the stalemated side instead of drawing
+class StalemateLossRules extends RuleSet {
+    constructor() {
+        super('stalemate-loss', 'Stalemate loses');
+    }
+
+    noMovesResult(engine) {
+        if (engine.isInCheck(engine.currentTurn)) return null;
+        return { winner: opponent(engine.currentTurn), reason: 'Stalemate' };
+    }
+}
+
+const RULE_SETS = {
+    checkmate: new CheckmateRules(),
+    'royal-capture': new RoyalCaptureRules(),
+    extinction: new ExtinctionRules(),
+    'king-of-the-hill': new KingOfTheHillRules(),
+    'three-check': new ThreeCheckRules(),
+    'stalemate-loss': new StalemateLossRules(),
+};
+
+// Attach to window for backwards compatibility and export as ES module
+try {
+    if (typeof window !== 'undefined') {
+        window.RuleSet = RuleSet;
+    }
+} catch (e) {
+    /* ignore in non-browser env */
+}
+
+export { RuleSet };
@@ -1,11 +1,23 @@
-const express = require('express');
-const http = require('http');
-const WebSocket = require('ws');
-const path = require('path');
+import express from 'express';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket, { WebSocketServer } from 'ws';
+
+// The server runs the same engine as the clients so it can validate every
+// move instead of trusting what a (possibly modified) client reports.
+import {
+    PieceGenerator,
+    PieceSerializer,
+    ChessEngine,
+    RuleSet,
+} from './core.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocketServer({ server });
 
 // Serve static files
 app.use(express.static(path.resolve(__dirname)));
@@ -17,60 +29,287 @@ const gameSessions = new Map();
 // Track rematch votes per session: Map sessionId -> { [playerId]: 'roll'|'keep' }
 const rematchVotes = new Map();
 
-// Use lightweight placement generator module to avoid duplication.
-const { PieceGenerator } = require('./placementGenerator.js');
-
 function generateSessionId() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
-function matchPlayer(ws, pieces, seed = null) {
+function sendError(ws, message, extra = {}) {
+    try {
+        if (ws.readyState === WebSocket.OPEN)
+            ws.send(
+                JSON.stringify(Object.assign({ type: 'ERROR', message }, extra))
+            );
+    } catch (e) {
+        console.warn('Failed to send ERROR to client', e);
+    }
+}
+
+// Build the authoritative engine for a session from the serialized pieces
+// the clients play with (`serializedBlack` is black's army in asymmetric
+// games, `rules` the rule set name, `drops` turns on drop mode). Returns
+// null when the pieces cannot be loaded.
+function createSessionEngine(
+    serializedPieces,
+    seed,
+    placement,
+    serializedBlack,
+    rules,
+    drops = false
+) {
+    let pieces = null;
+    let blackPieces = null;
+    try {
+        pieces = PieceSerializer.deserialize(serializedPieces);
+        if (serializedBlack)
+            blackPieces = PieceSerializer.deserialize(serializedBlack);
+    } catch (e) {
+        console.warn('Failed to deserialize session pieces', e);
+    }
+    if (!Array.isArray(pieces) || pieces.length === 0) return null;
+    // Custom armies come straight from the client
+    const problems = [pieces, blackPieces]
+        .filter((army) => army !== null)
+        .flatMap((army) => PieceSerializer.validateArmy(army));
+    if (problems.length > 0) {
+        console.warn('Rejected session pieces:', problems.join('; '));
+        return null;
+    }
+
+    const engine = new ChessEngine(
+        pieces,
+        seed,
+        blackPieces,
+        null,
+        rules,
+        drops
+    );
+    engine.initializeBoard(placement);
+    return engine;
+}
+
+// Validate a client move against the session engine and apply it.
+// Returns { move } on success or { error } describing why it was rejected.
+function applySessionMove(session, ws, move) {
+    const engine = session.engine;
+    if (!engine) return { error: 'No game in progress' };
+    if (engine.isGameOver()) return { error: 'Game is over' };
+    if (ws.color !== engine.currentTurn) return { error: 'Not your turn' };
+    if (move && Number.isInteger(move.drop))
+        return applySessionDrop(session, move);
+
+    const coords = move
+        ? [move.fromRow, move.fromCol, move.toRow, move.toCol]
+        : [];
+    if (
+        coords.length !== 4 ||
+        !coords.every((v) => Number.isInteger(v)) ||
+        !engine.isOnBoard(move.fromRow, move.fromCol) ||
+        !engine.isOnBoard(move.toRow, move.toCol)
+    ) {
+        return { error: 'Malformed move' };
+    }
+
+    // Keep the pre-move engine so a bad promotion choice can be rolled back
+    // and agreed takebacks can restore earlier positions.
+    const before = engine.clone();
+    if (!engine.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol)) {
+        return { error: 'Illegal move' };
+    }
+
+    const applied = {
+        fromRow: move.fromRow,
+        fromCol: move.fromCol,
+        toRow: move.toRow,
+        toCol: move.toCol,
+    };
+    if (engine.pendingPromotion) {
+        if (
+            !Number.isInteger(move.promotion) ||
+            !engine.completePromotion(move.promotion)
+        ) {
+            session.engine = before;
+            return { error: 'Illegal promotion' };
+        }
+        applied.promotion = move.promotion;
+    }
+
+    session.history.push(before);
+    return { move: applied };
+}
+
+// Drop mode: place a reserve piece ({drop, toRow, toCol}) for the side to
+// move. Returns { move } or { error } like applySessionMove.
+function applySessionDrop(session, move) {
+    const engine = session.engine;
+    if (
+        !Number.isInteger(move.toRow) ||
+        !Number.isInteger(move.toCol) ||
+        !engine.isOnBoard(move.toRow, move.toCol)
+    ) {
+        return { error: 'Malformed move' };
+    }
+
+    const before = engine.clone();
+    if (!engine.makeDrop(move.drop, move.toRow, move.toCol)) {
+        return { error: 'Illegal drop' };
+    }
+    session.history.push(before);
+    return { move: { drop: move.drop, toRow: move.toRow, toCol: move.toCol } };
+}
+
+// Fog of war: instead of the move, send each player the position as they
+// see it (ChessEngine.fogView) with the server's verdict, so squares out of
+// a player's reach never leave the server. `mover` is the side that moved.
+function sendFogViews(session, mover) {
+    const engine = session.engine;
+    const winner = engine.getWinner();
+    // Checkmate and stalemate leave no reason of their own
+    let reason = engine.resultReason;
+    if (!reason && winner)
+        reason = winner === 'draw' ? 'Stalemate' : 'Checkmate';
+    for (const p of session.players) {
+        const payload = JSON.stringify({
+            type: 'MOVE',
+            fog: true,
+            color: mover,
+            position: engine.fogView(p.color).toPositionString(),
+            ruleState: engine.ruleState,
+            gameOver: engine.isGameOver(),
+            winner,
+            reason,
+        });
+        try {
+            if (p.readyState === WebSocket.OPEN) p.send(payload);
+        } catch (e) {
+            console.warn('Failed to send fog view to session player', e);
+        }
+    }
+}
+
+// Fog of war hides the opponent's moves while the game runs; once it is
+// over, both players get the full move list so their records can be saved
+// and replayed.
+function sendGameRecord(session) {
+    const payload = JSON.stringify({
+        type: 'GAME_RECORD',
+        moves: session.engine.moveHistory.map((entry) => entry.notation),
+    });
+    for (const p of session.players) {
+        try {
+            if (p.readyState === WebSocket.OPEN) p.send(payload);
+        } catch (e) {
+            console.warn('Failed to send GAME_RECORD to session player', e);
+        }
+    }
+}
+
+// Start (or restart) the authoritative game for a session.
+function startSessionGame(session) {
+    session.engine = createSessionEngine(
+        session.pieces,
+        session.seed,
+        session.placement,
+        session.blackPieces,
+        session.rules,
+        session.drops
+    );
+    session.history = [];
+    session.takebackRequests = new Set();
+    session.drawRequests = new Set();
+}
+
+function matchPlayer(
+    ws,
+    pieces,
+    seed = null,
+    blackPieces = null,
+    boardSize = null,
+    rules = null,
+    drops = false,
+    fog = false,
+    chess960 = false
+) {
+    // Fog of war only goes with rule sets that don't need check
+    const fogConflict = fog ? RuleSet.fogConflict(rules) : null;
+    if (fogConflict) {
+        sendError(ws, fogConflict);
+        return;
+    }
+
     if (waitingQueue.length > 0) {
         const waiting = waitingQueue.shift();
+        // The waiting player's armies, board, rules and modes win; they
+        // travel together
         const selectedPieces = waiting.pieces || pieces;
+        const selectedBlack = waiting.pieces
+            ? waiting.blackPieces
+            : blackPieces;
+        const selectedSize = waiting.pieces ? waiting.boardSize : boardSize;
+        const selectedRules = waiting.pieces ? waiting.rules : rules;
+        const selectedDrops = waiting.pieces ? waiting.drops : drops;
+        const selectedFog = waiting.pieces ? waiting.fog : fog;
+        const selected960 = waiting.pieces ? waiting.chess960 : chess960;
         const selectedSeed =
             typeof waiting.seed !== 'undefined' && waiting.seed !== null
                 ? waiting.seed
                 : seed || null;
         if (!selectedPieces) {
-            try {
-                if (ws.readyState === WebSocket.OPEN)
-                    ws.send(
-                        JSON.stringify({
-                            type: 'ERROR',
-                            message: 'Invalid pieces',
-                        })
-                    );
-            } catch (e) {
-                console.warn('Failed to send ERROR to client', e);
-            }
+            sendError(ws, 'Invalid pieces');
             return;
         }
 
         const sessionId = generateSessionId();
-        const placement = PieceGenerator.generatePlacement(
-            selectedPieces,
-            selectedSeed
-        );
+        const placement = selectedBlack
+            ? PieceGenerator.generateAsymmetricPlacement(
+                  selectedPieces,
+                  selectedBlack,
+                  selectedSeed,
+                  selectedSize,
+                  !!selected960
+              )
+            : PieceGenerator.generatePlacement(
+                  selectedPieces,
+                  selectedSeed,
+                  selectedSize,
+                  !!selected960
+              );
         const colors =
             Math.random() < 0.5 ? ['white', 'black'] : ['black', 'white'];
 
         const session = {
             sessionId,
             pieces: selectedPieces,
+            blackPieces: selectedBlack || null,
+            seed: selectedSeed,
             placement,
+            rules: selectedRules || 'checkmate',
+            drops: !!selectedDrops,
+            fog: !!selectedFog,
+            chess960: !!selected960,
             players: [waiting.ws, ws],
         };
+        startSessionGame(session);
+        if (!session.engine) {
+            sendError(ws, 'Invalid pieces');
+            sendError(waiting.ws, 'Invalid pieces');
+            return;
+        }
         gameSessions.set(sessionId, session);
         waiting.ws.sessionId = sessionId;
         ws.sessionId = sessionId;
+        waiting.ws.color = colors[0];
+        ws.color = colors[1];
 
         const msg0 = {
             type: 'MATCHED',
             color: colors[0],
             sessionId,
             pieces: selectedPieces,
+            blackPieces: selectedBlack || null,
             placement,
+            rules: session.rules,
+            drops: session.drops,
+            fog: session.fog,
             seed: selectedSeed,
         };
         const msg1 = {
@@ -78,7 +317,11 @@ function matchPlayer(ws, pieces, seed = null) {
             color: colors[1],
             sessionId,
             pieces: selectedPieces,
+            blackPieces: selectedBlack || null,
             placement,
+            rules: session.rules,
+            drops: session.drops,
+            fog: session.fog,
             seed: selectedSeed,
         };
 
@@ -94,7 +337,17 @@ function matchPlayer(ws, pieces, seed = null) {
             console.warn('Failed to send MATCHED to joining client', e);
         }
     } else {
-        waitingQueue.push({ ws, pieces, seed });
+        waitingQueue.push({
+            ws,
+            pieces,
+            seed,
+            blackPieces,
+            boardSize,
+            rules,
+            drops,
+            fog,
+            chess960,
+        });
         try {
             if (ws.readyState === WebSocket.OPEN)
                 ws.send(JSON.stringify({ type: 'WAITING', message: '⏳' }));
@@ -125,7 +378,15 @@ wss.on('connection', (ws) => {
             matchPlayer(
                 ws,
                 data.pieces || null,
-                typeof data.seed !== 'undefined' ? data.seed : null
+                typeof data.seed !== 'undefined' ? data.seed : null,
+                data.blackPieces || null,
+                ChessEngine.isValidBoardSize(data.boardSize)
+                    ? { rows: data.boardSize.rows, cols: data.boardSize.cols }
+                    : null,
+                RuleSet.isValid(data.rules) ? data.rules : null,
+                data.drops === true,
+                data.fog === true,
+                data.chess960 === true
             );
         } else if (data.type === 'LEAVE_QUEUE') {
             const idx = waitingQueue.findIndex((item) => item.ws === ws);
@@ -139,22 +400,40 @@ wss.on('connection', (ws) => {
         } else if (data.type === 'MOVE') {
             const session = gameSessions.get(ws.sessionId);
             if (!session) return;
-            // broadcast to both players
+            const result = applySessionMove(session, ws, data.move);
+            if (result.error) {
+                sendError(ws, result.error, { move: data.move || null });
+                return;
+            }
+            // A new move cancels any pending takeback requests and draw
+            // offers; both players are told the offer is off the table
+            session.takebackRequests.clear();
+            if (session.drawRequests.size > 0) {
+                session.drawRequests.clear();
+                for (const p of session.players) {
+                    try {
+                        if (p.readyState === WebSocket.OPEN)
+                            p.send(JSON.stringify({ type: 'DRAW_WITHDRAWN' }));
+                    } catch (e) {
+                        console.warn('Failed to send DRAW_WITHDRAWN', e);
+                    }
+                }
+            }
+            if (session.fog) {
+                sendFogViews(session, ws.color);
+                if (session.engine.isGameOver()) sendGameRecord(session);
+                return;
+            }
+            // broadcast the validated move and the server's verdict to both players
+            const payload = JSON.stringify({
+                type: 'MOVE',
+                move: result.move,
+                gameOver: session.engine.isGameOver(),
+                winner: session.engine.getWinner(),
+            });
             for (const p of session.players) {
                 try {
-                    if (p.readyState === WebSocket.OPEN)
-                        p.send(
-                            JSON.stringify(
-                                Object.assign(
-                                    { type: 'MOVE' },
-                                    {
-                                        move: data.move,
-                                        gameOver: data.gameOver || false,
-                                        winner: data.winner || null,
-                                    }
-                                )
-                            )
-                        );
+                    if (p.readyState === WebSocket.OPEN) p.send(payload);
                 } catch (e) {
                     console.warn('Failed to forward MOVE to session player', e);
                 }
@@ -168,6 +447,43 @@ wss.on('connection', (ws) => {
         ) {
             const session = gameSessions.get(ws.sessionId);
             if (!session) return;
+            // Mirror control messages that change the game state on the
+            // authoritative engine so later moves are validated correctly.
+            // Performs the opponent never asked for are rejected and not
+            // relayed, so a client can't undo moves or end the game alone.
+            const opponentAsked = (requests) =>
+                session.players.some(
+                    (p) => p !== ws && requests.has(p.playerId)
+                );
+            if (data.type === 'TAKEBACK_REQUEST') {
+                session.takebackRequests.add(ws.playerId);
+            } else if (data.type === 'TAKEBACK_PERFORM') {
+                const agreed = opponentAsked(session.takebackRequests);
+                session.takebackRequests.clear();
+                if (!agreed) {
+                    sendError(ws, 'No takeback was requested');
+                    return;
+                }
+                // Agreed takebacks revert the last two plies
+                for (let i = 0; i < 2 && session.history.length > 0; i++)
+                    session.engine = session.history.pop();
+            } else if (data.type === 'RESIGN') {
+                if (session.engine) session.engine.gameOver = true;
+                // The resigning side always loses, whatever the client claims
+                data.winner = ws.color === 'white' ? 'black' : 'white';
+            } else if (data.type === 'DRAW_REQUEST') {
+                session.drawRequests.add(ws.playerId);
+            } else if (data.type === 'DRAW_PERFORM') {
+                if (!opponentAsked(session.drawRequests)) {
+                    // Both sides agreeing at once each send a perform; the
+                    // second one finds the game already drawn
+                    if (!session.engine || !session.engine.isGameOver())
+                        sendError(ws, 'No draw was offered');
+                    return;
+                }
+                session.drawRequests.clear();
+                if (session.engine) session.engine.gameOver = true;
+            }
             // Relay these control messages to the *other* player only (avoid echoing back to origin)
             for (const p of session.players) {
                 if (p === ws) continue;
@@ -181,6 +497,8 @@ wss.on('connection', (ws) => {
                     );
                 }
             }
+            if (session.fog && session.engine && session.engine.isGameOver())
+                sendGameRecord(session);
         } else if (data.type === 'REMATCH_VOTE') {
             const session = gameSessions.get(ws.sessionId);
             if (!session) return;
@@ -224,23 +542,57 @@ wss.on('connection', (ws) => {
                 // For reroll, instruct clients to generate a new seeded set (and placement)
                 // by sending a fresh seed. For reset, reuse existing placement.
                 //
-                // NOTE: We intentionally do not generate new `pieces` server-side here.
-                // The authoritative piece-generation algorithm lives in the client
-                // (`Generator.js`) and is deterministic when given a seed. By
-                // sending a seed to both clients they will independently produce
-                // the same new piece set and placement. Keeping generation on
-                // the client keeps server logic minimal and avoids duplicating
-                // the full generator implementation on the server.
+                // NOTE: We intentionally do not send new `pieces` to clients here.
+                // Piece generation (`Generator.js`) is deterministic when given a
+                // seed, so both clients independently produce the same new piece
+                // set. The server runs the same generator for its own engine.
                 let newPlacement = session.placement;
                 let payloadExtra = {};
                 if (action === 'reroll') {
                     const newSeed = Math.floor(Math.random() * 1000000);
-                    // Do NOT attempt to re-generate pieces server-side here; instead
-                    // tell clients to use the provided seed so they independently
-                    // generate the same new pieces and placement.
+                    // Pieces are not sent; clients regenerate them from the seed.
+                    // The server regenerates them too so it can keep validating
+                    // moves, and sends the placement it derived from the seed.
                     payloadExtra.seed = newSeed;
-                    // clear placement so clients will compute placement from seed
-                    newPlacement = null;
+                    // The rerolled setup keeps the session's board size
+                    // (and shuffles the back ranks again in Chess960 sessions)
+                    const size = session.placement.rows
+                        ? {
+                              rows: session.placement.rows,
+                              cols: session.placement.cols,
+                          }
+                        : null;
+                    if (session.blackPieces) {
+                        // Asymmetric sessions reroll both armies
+                        payloadExtra.asymmetric = true;
+                        const armies =
+                            PieceGenerator.generateAsymmetricArmies(newSeed);
+                        newPlacement =
+                            PieceGenerator.generateAsymmetricPlacement(
+                                armies.white,
+                                armies.black,
+                                newSeed,
+                                size,
+                                session.chess960
+                            );
+                        session.pieces = PieceSerializer.serialize(
+                            armies.white
+                        );
+                        session.blackPieces = PieceSerializer.serialize(
+                            armies.black
+                        );
+                    } else {
+                        const newPieces =
+                            PieceGenerator.generateRandomPieces(newSeed);
+                        newPlacement = PieceGenerator.generatePlacement(
+                            newPieces,
+                            newSeed,
+                            size,
+                            session.chess960
+                        );
+                        session.pieces = PieceSerializer.serialize(newPieces);
+                    }
+                    session.placement = newPlacement;
                     // update session seed so future joins (if any) can be aware
                     session.seed = newSeed;
                 } else {
@@ -251,6 +603,11 @@ wss.on('connection', (ws) => {
                             : null;
                 }
 
+                // Clients swap colors on every rematch; mirror that here
+                for (const p of session.players)
+                    p.color = p.color === 'white' ? 'black' : 'white';
+                startSessionGame(session);
+
                 // Notify both players of rematch result
                 for (const p of session.players) {
                     try {
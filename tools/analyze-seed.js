@@ -0,0 +1,108 @@
+// ===== Seed Analyzer =====
+// Fairness and playability report for generated piece sets: first-move
+// advantage, average game length and early-mate risk from fast AI
+// self-play, plus the static restricted-piece and king-exposure metrics
+// (see analyzer.js).
+//
+// Usage:
+//   node tools/analyze-seed.js <seed> [--count N] [--games N] [--plies N]
+//                              [--move-ms N] [--bounds '<json>'] [--json]
+//                              [--asymmetric]
+//
+// --count analyzes N consecutive seeds. --asymmetric gives black its own
+// army (PieceGenerator.generateAsymmetricArmies), so first-move advantage
+// also measures the strength gap between the two sets. --bounds takes
+// {"metric": {"min": x, "max": y}} and flags seeds outside it; the exit
+// status is 1 if any seed is flagged.
+
+import { PieceGenerator, GeneratorAnalyzer } from 'randochess/core';
+
+function parseArgs(argv) {
+    const options = {
+        seed: null,
+        count: 1,
+        json: false,
+        bounds: null,
+        asymmetric: false,
+    };
+    const selfPlay = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === '--count') options.count = Number(next());
+        else if (arg === '--games') selfPlay.games = Number(next());
+        else if (arg === '--plies') selfPlay.plies = Number(next());
+        else if (arg === '--move-ms') selfPlay.moveMs = Number(next());
+        else if (arg === '--bounds') options.bounds = JSON.parse(next());
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--asymmetric') options.asymmetric = true;
+        else if (options.seed === null) options.seed = Number(arg);
+    }
+    options.selfPlay = selfPlay;
+    return options;
+}
+
+function formatReport(report) {
+    const pct = (x) => `${(x * 100).toFixed(0)}%`;
+    const advantage = report.firstMoveAdvantage.toFixed(2);
+    const lines = [
+        `Seed ${report.seed} (${report.games} games)`,
+        `  first-move advantage  ${advantage >= 0 ? '+' : ''}${advantage}`,
+        `  average length        ${report.averageLength.toFixed(1)} plies`,
+        `  early-mate rate       ${pct(report.earlyMateRate)}`,
+        `  restricted pieces     ${pct(report.restrictedFraction)}`,
+        `  king exposure         ${report.kingExposure}`,
+    ];
+    for (const v of report.violations) {
+        lines.push(`  OUT OF BOUNDS: ${v.metric} = ${v.value}`);
+    }
+    return lines.join('\n');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!Number.isFinite(options.seed)) {
+        console.error(
+            "Usage: node tools/analyze-seed.js <seed> [--count N] [--games N] [--plies N] [--move-ms N] [--bounds '<json>'] [--json] [--asymmetric]"
+        );
+        process.exit(1);
+    }
+
+    const reports = [];
+    for (let i = 0; i < options.count; i++) {
+        const seed = options.seed + i;
+        let pieces = null;
+        let placement = null;
+        const selfPlay = { ...options.selfPlay };
+        if (options.asymmetric) {
+            const armies = PieceGenerator.generateAsymmetricArmies(seed);
+            pieces = armies.white;
+            selfPlay.blackPieces = armies.black;
+            placement = PieceGenerator.generateAsymmetricPlacement(
+                armies.white,
+                armies.black,
+                seed
+            );
+        } else {
+            pieces = PieceGenerator.generateRandomPieces(seed);
+            placement = PieceGenerator.generatePlacement(pieces, seed);
+        }
+        const report = await GeneratorAnalyzer.analyze(
+            pieces,
+            placement,
+            seed,
+            selfPlay
+        );
+        report.violations = GeneratorAnalyzer.violations(
+            report,
+            options.bounds || {}
+        );
+        reports.push(report);
+        if (!options.json) console.log(formatReport(report));
+    }
+
+    if (options.json) console.log(JSON.stringify(reports, null, 4));
+    if (reports.some((r) => r.violations.length > 0)) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,255 @@
+// ===== Perft =====
+// Move-generation check: counts the leaf nodes of the legal move tree to a
+// fixed depth for a seed's start position (or any position string). Each
+// choice promotion counts once per promotion piece. At every node it also
+// verifies that makeMoveUnsafe + undoMove restores the exact board,
+// lastMove, currentTurn, gameOver state and drop-mode reserves, and that the
+// incremental Zobrist key after each move matches one computed from scratch.
+//
+// Usage:
+//   node tools/perft.js <seed> <depth> [--divide] [--multiplayer]
+//                       [--position "<position string>"] [--no-verify]
+//                       [--board COLSxROWS] [--drops] [--chess960]
+//
+// --board sets up a board other than 8x8, e.g. --board 10x8, --drops
+// plays in drop mode (position strings carry their own size and reserves)
+// and --chess960 shuffles the back ranks.
+//
+// Exits with status 1 if a restore or hash check fails.
+
+import { PieceGenerator, ChessEngine } from 'randochess/core';
+
+function parseArgs(argv) {
+    const options = {
+        seed: null,
+        depth: null,
+        divide: false,
+        multiplayer: false,
+        position: null,
+        verify: true,
+        size: null,
+        drops: false,
+        chess960: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--divide') options.divide = true;
+        else if (arg === '--multiplayer') options.multiplayer = true;
+        else if (arg === '--no-verify') options.verify = false;
+        else if (arg === '--drops') options.drops = true;
+        else if (arg === '--chess960') options.chess960 = true;
+        else if (arg === '--position') options.position = argv[++i];
+        else if (arg === '--board')
+            options.size = ChessEngine.parseBoardSize(argv[++i]) || false;
+        else if (options.seed === null) options.seed = Number(arg);
+        else if (options.depth === null) options.depth = Number(arg);
+    }
+    return options;
+}
+
+// Everything undoMove must put back, with pieces compared by reference
+function captureState(engine) {
+    return {
+        board: engine.board.map((row) =>
+            row.map((cell) =>
+                cell ? [cell.piece, cell.color, cell.hasMoved] : null
+            )
+        ),
+        lastMove: engine.lastMove ? { ...engine.lastMove } : null,
+        currentTurn: engine.currentTurn,
+        gameOver: engine.gameOver,
+        pendingPromotion: engine.pendingPromotion,
+        halfmoveClock: engine.halfmoveClock,
+        reserves: JSON.stringify(engine.reserves),
+        key: engine.getZobristKey(),
+    };
+}
+
+// First difference between two captured states, or null
+function stateDifference(before, after) {
+    for (let row = 0; row < before.board.length; row++) {
+        for (let col = 0; col < before.board[row].length; col++) {
+            const a = before.board[row][col];
+            const b = after.board[row][col];
+            const same =
+                a === b ||
+                (a && b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2]);
+            if (!same) return `board square ${row},${col}`;
+        }
+    }
+    const moveKeys = ['fromRow', 'fromCol', 'toRow', 'toCol', 'piece'];
+    const a = before.lastMove;
+    const b = after.lastMove;
+    if (!a !== !b || (a && moveKeys.some((k) => a[k] !== b[k]))) {
+        return 'lastMove';
+    }
+    for (const field of [
+        'currentTurn',
+        'gameOver',
+        'pendingPromotion',
+        'halfmoveClock',
+        'reserves',
+        'key',
+    ]) {
+        if (before[field] !== after[field]) return field;
+    }
+    return null;
+}
+
+// Legal moves with choice promotions expanded, one entry per promotion piece
+function expandedMoves(engine) {
+    const moves = [];
+    for (const move of engine.getAllMoves(engine.currentTurn)) {
+        if (Number.isInteger(move.drop)) {
+            moves.push({ ...move, promotionIndex: 0, promotion: null });
+            continue;
+        }
+        const cell = engine.board[move.fromRow][move.fromCol];
+        const piece = cell.piece;
+        const promotionRow = engine.promotionRow(cell.color);
+        const promotes =
+            piece.promotionType === 'choice' &&
+            piece.promotionRank !== -1 &&
+            move.toRow === promotionRow &&
+            piece.promotionPieces.length > 0;
+        if (!promotes) {
+            moves.push({ ...move, promotionIndex: 0, promotion: null });
+            continue;
+        }
+        piece.promotionPieces.forEach((promoted, promotionIndex) => {
+            moves.push({ ...move, promotionIndex, promotion: promoted.name });
+        });
+    }
+    return moves;
+}
+
+function moveName(engine, move) {
+    if (Number.isInteger(move.drop)) {
+        const piece = engine.armyFor(engine.currentTurn)[move.drop];
+        return `${piece.name}@${engine.squareName(move.toRow, move.toCol)}`;
+    }
+    const from = engine.squareName(move.fromRow, move.fromCol);
+    const to = engine.squareName(move.toRow, move.toCol);
+    return `${from}${to}${move.promotion ? `=${move.promotion}` : ''}`;
+}
+
+class PerftError extends Error {}
+
+// Zobrist key computed from scratch, leaving the incremental one in place
+function recomputedKey(engine) {
+    const { hashHi, hashLo } = engine;
+    engine._computeHash();
+    const key = engine.getZobristKey();
+    engine.hashHi = hashHi;
+    engine.hashLo = hashLo;
+    return key;
+}
+
+// Leaf nodes below `move`, checking that undoing it restores the position
+function perftMove(engine, move, depth, options, path) {
+    const before = options.verify ? captureState(engine) : null;
+    const line = [...path, moveName(engine, move)];
+    const snapshot = engine.playMoveUnsafe(move, move.promotionIndex);
+    if (options.verify && engine.getZobristKey() !== recomputedKey(engine)) {
+        throw new PerftError(
+            'Incremental Zobrist key differs from a full recompute after ' +
+                line.join(' ')
+        );
+    }
+    const nodes = perft(engine, depth - 1, options, line);
+    engine.undoMove(snapshot);
+
+    if (before) {
+        const difference = stateDifference(before, captureState(engine));
+        if (difference) {
+            throw new PerftError(
+                `undoMove did not restore ${difference} after ${line.join(' ')}`
+            );
+        }
+    }
+    return nodes;
+}
+
+function perft(engine, depth, options, path = []) {
+    if (depth === 0) return 1;
+
+    let nodes = 0;
+    for (const move of expandedMoves(engine)) {
+        nodes += perftMove(engine, move, depth, options, path);
+    }
+    return nodes;
+}
+
+function buildEngine(options) {
+    const pieces = PieceGenerator.generateRandomPieces(options.seed);
+    if (options.position) {
+        return ChessEngine.fromPositionString(
+            pieces,
+            options.position,
+            options.seed
+        );
+    }
+    const engine = new ChessEngine(
+        pieces,
+        options.seed,
+        null,
+        options.size,
+        null,
+        options.drops
+    );
+    if (options.multiplayer) {
+        engine.initializeBoard(
+            PieceGenerator.generatePlacement(
+                pieces,
+                options.seed,
+                options.size,
+                options.chess960
+            )
+        );
+    } else {
+        engine.initializeBoard(engine.generatePlacement(options.chess960));
+    }
+    return engine;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!Number.isFinite(options.seed) || !(options.depth >= 1)) {
+    console.error(
+        'Usage: node tools/perft.js <seed> <depth> [--divide] [--multiplayer] [--position "<position string>"] [--no-verify] [--board COLSxROWS] [--drops] [--chess960]'
+    );
+    process.exit(1);
+}
+
+if (options.size === false) {
+    console.error(
+        'Unsupported board size (columns and rows 4-16, even columns)'
+    );
+    process.exit(1);
+}
+
+const engine = buildEngine(options);
+if (!engine) {
+    console.error('Invalid position string');
+    process.exit(1);
+}
+
+const start = Date.now();
+try {
+    let total = 0;
+    if (options.divide) {
+        for (const move of expandedMoves(engine)) {
+            const nodes = perftMove(engine, move, options.depth, options, []);
+            console.log(`${moveName(engine, move)}: ${nodes}`);
+            total += nodes;
+        }
+        console.log('');
+    } else {
+        total = perft(engine, options.depth, options);
+    }
+    console.log(`Nodes: ${total}`);
+    console.log(`Time: ${Date.now() - start} ms`);
+} catch (e) {
+    if (!(e instanceof PerftError)) throw e;
+    console.error(e.message);
+    process.exit(1);
+}
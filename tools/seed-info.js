@@ -0,0 +1,195 @@
+// ===== Seed Inspector =====
+// Prints what a seed generates without opening the browser: each piece's
+// movement pattern as a text diagram, the back-rank placement, the king
+// variant, promotion rules, static piece values and Betza notation.
+//
+// Usage:
+//   node tools/seed-info.js <seed> [--multiplayer] [--json]
+//                           [--options '<generation options json>']
+//
+// The placement defaults to the one used for AI and hotseat games;
+// --multiplayer shows the placement the server deals for the same seed.
+// Diagram legend: @ piece, x reachable, + reachable once upgraded,
+// forward is up.
+
+import {
+    PieceGenerator,
+    ChessEngine,
+    PieceSerializer,
+    BetzaNotation,
+} from 'randochess/core';
+
+const GRID_SIZE = 7;
+const FILES = 'abcdefgh';
+
+function parseArgs(argv) {
+    const options = {
+        seed: null,
+        multiplayer: false,
+        json: false,
+        generation: {},
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--multiplayer') options.multiplayer = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--options')
+            options.generation = JSON.parse(argv[++i]);
+        else if (options.seed === null) options.seed = Number(arg);
+    }
+    return options;
+}
+
+// Pattern grid rows (top = forward) for a piece seen from white's side
+function patternRows(piece) {
+    const reach = PieceGenerator.getPatternReach(piece.moves, GRID_SIZE, true);
+    const upgradeReach = PieceGenerator.getPatternReach(
+        piece.upgradeMoves || [],
+        GRID_SIZE,
+        true
+    );
+    const center = Math.floor(GRID_SIZE / 2);
+    const rows = [];
+    for (let y = 0; y < GRID_SIZE; y++) {
+        let line = '';
+        for (let x = 0; x < GRID_SIZE; x++) {
+            const key = `${x},${y}`;
+            if (x === center && y === center) line += '@';
+            else if (reach.has(key)) line += 'x';
+            else if (upgradeReach.has(key)) line += '+';
+            else line += '.';
+        }
+        rows.push(line.split('').join(' '));
+    }
+    return rows;
+}
+
+// Reachable offsets as [dx, dy] with dy > 0 meaning forward
+function reachOffsets(piece) {
+    const center = Math.floor(GRID_SIZE / 2);
+    return [...PieceGenerator.getPatternReach(piece.moves, GRID_SIZE, true)]
+        .map((key) => key.split(',').map(Number))
+        .map(([x, y]) => [x - center, center - y])
+        .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+}
+
+function describeSeed(seed, multiplayer, generation) {
+    const pieces = PieceGenerator.generateRandomPieces(seed, generation);
+    const engine = new ChessEngine(pieces, seed);
+    engine.initializeBoard(
+        multiplayer ? PieceGenerator.generatePlacement(pieces, seed) : null
+    );
+    const placement = engine.placement;
+
+    // White's pieces as they stand, so the royal carries its king variant
+    const backRank = engine.board[7].map((cell) => cell.piece);
+    const pawnRank = engine.board[6].map((cell) => cell.piece);
+    const startSquare = (piece) => {
+        const col = backRank.findIndex((p) => p.name === piece.name);
+        if (col !== -1) return { row: 7, col };
+        const pawnCol = pawnRank.findIndex((p) => p.name === piece.name);
+        return pawnCol !== -1 ? { row: 6, col: pawnCol } : null;
+    };
+
+    const describePiece = (piece, index) => {
+        const onBoard =
+            backRank.find((p) => p.name === piece.name) ||
+            pawnRank.find((p) => p.name === piece.name) ||
+            piece;
+        const square = startSquare(piece);
+        return {
+            index,
+            name: piece.name,
+            royal: piece.royal,
+            start: square ? `${FILES[square.col]}${8 - square.row}` : null,
+            value: square
+                ? PieceGenerator.getStaticPieceValue(
+                      onBoard,
+                      square.row,
+                      square.col,
+                      'white',
+                      engine
+                  )
+                : null,
+            promotionType: piece.promotionType,
+            promotionPieces: (piece.promotionPieces || []).map((p) => p.name),
+            betza: onBoard.toBetza(),
+            upgradeBetza: (onBoard.upgradeMoves || []).length
+                ? BetzaNotation.fromMoves(onBoard.upgradeMoves)
+                : null,
+            moves: PieceSerializer.serialize([onBoard])[0].moves,
+            reach: reachOffsets(onBoard),
+            diagram: patternRows(onBoard),
+        };
+    };
+
+    return {
+        seed,
+        // false when generation bounds were given and no re-roll met them
+        withinBounds: pieces.__withinBounds !== false,
+        placement: {
+            source: multiplayer ? 'multiplayer' : 'local',
+            backRank: backRank.map((p) => p.name),
+            kingVariant: placement.kingVariants
+                ? placement.kingVariants.white
+                : 'normal',
+        },
+        pieces: pieces.map(describePiece),
+    };
+}
+
+function formatText(info) {
+    const { source, backRank, kingVariant } = info.placement;
+    const lines = [
+        `Seed ${info.seed}`,
+        `Back rank (${source}, a-h): ${backRank.join(' ')}`,
+        `King variant: ${kingVariant}`,
+    ];
+    if (!info.withinBounds) {
+        lines.push(
+            'Warning: no re-roll met the bounds; showing the seed as is'
+        );
+    }
+    for (const piece of info.pieces) {
+        const value = piece.royal
+            ? 'royal'
+            : piece.value !== null
+            ? piece.value.toFixed(2)
+            : '-';
+        const promotion = piece.promotionType
+            ? `${piece.promotionType}${
+                  piece.promotionPieces.length
+                      ? ` -> ${piece.promotionPieces.join(' ')}`
+                      : ''
+              }`
+            : 'none';
+        lines.push('');
+        lines.push(
+            `${piece.index}: ${piece.name}  start ${
+                piece.start || '-'
+            }  value ${value}  promotion ${promotion}`
+        );
+        lines.push(
+            `    ${piece.betza}${
+                piece.upgradeBetza ? `  (upgraded: ${piece.upgradeBetza})` : ''
+            }`
+        );
+        lines.push(...piece.diagram.map((row) => `    ${row}`));
+    }
+    return lines.join('\n');
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!Number.isFinite(options.seed)) {
+    console.error(
+        "Usage: node tools/seed-info.js <seed> [--multiplayer] [--json] [--options '<json>']"
+    );
+    process.exit(1);
+}
+
+const info = describeSeed(
+    options.seed,
+    options.multiplayer,
+    options.generation
+);
+console.log(options.json ? JSON.stringify(info, null, 4) : formatText(info));
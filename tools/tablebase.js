@@ -0,0 +1,127 @@
+// ===== Tablebase Builder =====
+// Solves a seed's small endings offline with the endgame solver (see
+// endgame.js) and reports, for each ending, whether either side can force a
+// win and the longest mate. Games build the same tables in a background
+// worker; this shows what they contain and how long they take.
+//
+// Usage:
+//   node tools/tablebase.js <seed> [--pieces 3|4] [--board COLSxROWS]
+//                           [--rules <name>] [--max-positions N] [--json]
+//
+// --pieces 4 adds K+X vs K+Y, which only fits the default size limit on
+// small boards; --max-positions raises it (memory grows by about 100 bytes
+// per position). Royals carry the start position's king variants.
+
+import {
+    PieceGenerator,
+    ChessEngine,
+    RuleSet,
+    EndgameSolver,
+} from 'randochess/core';
+
+function parseArgs(argv) {
+    const options = {
+        seed: null,
+        pieces: 3,
+        size: null,
+        rules: null,
+        maxPositions: undefined,
+        json: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') options.json = true;
+        else if (arg === '--pieces') options.pieces = Number(argv[++i]);
+        else if (arg === '--rules') options.rules = argv[++i];
+        else if (arg === '--max-positions')
+            options.maxPositions = Number(argv[++i]);
+        else if (arg === '--board')
+            options.size = ChessEngine.parseBoardSize(argv[++i]) || false;
+        else if (options.seed === null) options.seed = Number(arg);
+    }
+    return options;
+}
+
+// "Rook+Knight vs Ferz" style name, royals as K
+function endingName(pieces) {
+    const side = (color) =>
+        pieces
+            .filter((p) => p.color === color)
+            .map((p) => (p.piece.royal ? 'K' : p.piece.name))
+            .join('+');
+    return `${side('white')} vs ${side('black')}`;
+}
+
+// Longest win for `color` in full moves, or null if it can't force one
+function longestMate(table, color) {
+    const plies = table.longestWinFor(color);
+    return plies < 0 ? null : Math.ceil(plies / 2);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (
+        !Number.isFinite(options.seed) ||
+        options.size === false ||
+        (options.rules !== null && !RuleSet.isValid(options.rules))
+    ) {
+        console.error(
+            'Usage: node tools/tablebase.js <seed> [--pieces 3|4] ' +
+                '[--board COLSxROWS] [--rules <name>] [--max-positions N] ' +
+                `[--json]\nRule sets: ${RuleSet.names().join(', ')}`
+        );
+        process.exit(1);
+    }
+
+    const pieces = PieceGenerator.generateRandomPieces(options.seed);
+    const engine = new ChessEngine(
+        pieces,
+        options.seed,
+        null,
+        options.size,
+        options.rules
+    );
+    engine.initializeBoard(engine.generatePlacement());
+    if (!engine.rules.positional) {
+        console.error(
+            `The ${engine.rules.name} rule set depends on more than the ` +
+                'board, so its endings cannot be solved'
+        );
+        process.exit(1);
+    }
+
+    const start = Date.now();
+    const endings = EndgameSolver.solveEndings(
+        engine,
+        options.pieces,
+        options.maxPositions
+    ).map(({ pieces, table }) => ({
+        ending: endingName(pieces),
+        positions: table.size,
+        white: longestMate(table, 'white'),
+        black: longestMate(table, 'black'),
+    }));
+    const seconds = (Date.now() - start) / 1000;
+
+    if (options.json) {
+        console.log(JSON.stringify({ seed: options.seed, endings }, null, 2));
+        return;
+    }
+    console.log(
+        `Seed ${options.seed}, ${engine.cols}x${engine.rows}, ` +
+            `${engine.rules.name}: ${endings.length} tables in ` +
+            `${seconds.toFixed(1)}s`
+    );
+    for (const { ending, positions, white, black } of endings) {
+        const wins = [
+            white !== null ? `white mates in ${white}` : null,
+            black !== null ? `black mates in ${black}` : null,
+        ].filter(Boolean);
+        console.log(
+            `  ${ending.padEnd(32)} ${String(positions).padStart(9)}  ` +
+                (wins.length ? `longest: ${wins.join(', ')}` : 'drawn')
+        );
+    }
+}
+
+main();
@@ -0,0 +1,236 @@
+// ===== Piece Value Tuner =====
+// Headless self-play tool that fits piece values for one seed's generated
+// army. It plays fast ChessAI games from the seed's starting position with
+// one or two pieces removed, samples positions from each game, and fits the
+// value of each piece type so that material balance predicts the results
+// (Texel-style tuning, regularized toward the reach-based estimates).
+//
+// Usage:
+//   node tools/tune-values.js <seed> [--games 40] [--plies 120]
+//                             [--move-ms 40] [--out values-<seed>.json]
+//
+// The output table ({seed, games, positions, values}) can be handed to
+// ChessAI.loadValueTable / ChessAIWorker.loadValueTable.
+
+import fs from 'fs';
+import {
+    PieceGenerator,
+    ChessEngine,
+    ChessAI,
+    Evaluation,
+} from 'randochess/core';
+
+const OPENING_RANDOM_PLIES = 4; // random moves before the AI takes over
+const SAMPLE_FROM_PLY = 8; // skip the opening when sampling positions
+const REGULARIZATION = 0.002; // pull toward the reach-based prior
+
+function parseArgs(argv) {
+    const options = { seed: null, games: 40, plies: 120, moveMs: 40 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === '--games') options.games = Number(next());
+        else if (arg === '--plies') options.plies = Number(next());
+        else if (arg === '--move-ms') options.moveMs = Number(next());
+        else if (arg === '--out') options.out = next();
+        else if (options.seed === null) options.seed = Number(arg);
+    }
+    return options;
+}
+
+function pickRandom(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+// Squares holding non-royal pieces of `color`
+function nonRoyalSquares(engine, color) {
+    const squares = [];
+    for (let row = 0; row < engine.rows; row++) {
+        for (let col = 0; col < engine.cols; col++) {
+            const cell = engine.board[row][col];
+            if (cell && cell.color === color && !cell.piece.royal) {
+                squares.push({ row, col });
+            }
+        }
+    }
+    return squares;
+}
+
+// Start position with one piece removed from a random side and, half the
+// time, another removed from the other side
+function imbalancedStart(pieces, placement, seed) {
+    const engine = new ChessEngine(pieces, seed);
+    engine.initializeBoard(placement);
+
+    const first = Math.random() < 0.5 ? 'white' : 'black';
+    const sides = [first];
+    if (Math.random() < 0.5) sides.push(first === 'white' ? 'black' : 'white');
+    for (const color of sides) {
+        const square = pickRandom(nonRoyalSquares(engine, color));
+        if (square) engine.board[square.row][square.col] = null;
+    }
+
+    // Rebuild so the hash and repetition history match the new board
+    return ChessEngine.fromPositionString(
+        pieces,
+        engine.toPositionString(),
+        seed
+    );
+}
+
+// Material features: (white count - black count) per piece name
+function materialFeatures(engine) {
+    const features = {};
+    for (let row = 0; row < engine.rows; row++) {
+        for (let col = 0; col < engine.cols; col++) {
+            const cell = engine.board[row][col];
+            if (!cell || cell.piece.royal) continue;
+            const name = cell.piece.name;
+            features[name] =
+                (features[name] || 0) + (cell.color === 'white' ? 1 : -1);
+        }
+    }
+    return features;
+}
+
+// Play one game; returns sampled positions labelled with the result
+// (1 white win, 0 black win, 0.5 draw or unfinished)
+async function playGame(pieces, placement, seed, options, ai) {
+    const engine = imbalancedStart(pieces, placement, seed);
+    if (!engine) return [];
+    const samples = [];
+
+    for (let ply = 0; ply < options.plies && !engine.isGameOver(); ply++) {
+        const move =
+            ply < OPENING_RANDOM_PLIES
+                ? pickRandom(engine.getAllMoves(engine.currentTurn))
+                : await ai.getBestMove(engine);
+        if (!move) break;
+        engine.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+        if (engine.pendingPromotion) engine.completePromotion(0);
+
+        if (ply >= SAMPLE_FROM_PLY && !engine.isInCheck(engine.currentTurn)) {
+            samples.push(materialFeatures(engine));
+        }
+    }
+
+    const winner = engine.isGameOver() ? engine.getWinner() : null;
+    const result = winner === 'white' ? 1 : winner === 'black' ? 0 : 0.5;
+    return samples.map((features) => ({ features, result }));
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+function predictionError(samples, values, k) {
+    let error = 0;
+    for (const { features, result } of samples) {
+        let score = 0;
+        for (const name in features) score += features[name] * values[name];
+        const diff = result - sigmoid(k * score);
+        error += diff * diff;
+    }
+    return error / Math.max(1, samples.length);
+}
+
+function regularizedError(samples, values, prior, k) {
+    let penalty = 0;
+    for (const name in prior) {
+        penalty += (values[name] - prior[name]) ** 2;
+    }
+    return predictionError(samples, values, k) + REGULARIZATION * penalty;
+}
+
+// Fit the scaling constant on the prior values, then adjust one value at a
+// time while the error keeps dropping
+function fitValues(samples, prior) {
+    let k = 1;
+    let best = predictionError(samples, prior, k);
+    for (let candidate = 0.05; candidate <= 3; candidate += 0.05) {
+        const error = predictionError(samples, prior, candidate);
+        if (error < best) {
+            best = error;
+            k = candidate;
+        }
+    }
+
+    const values = { ...prior };
+    best = regularizedError(samples, values, prior, k);
+    for (const step of [0.5, 0.2, 0.05]) {
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const name in values) {
+                for (const delta of [step, -step]) {
+                    const original = values[name];
+                    values[name] = Math.max(0.1, original + delta);
+                    const error = regularizedError(samples, values, prior, k);
+                    if (error < best) {
+                        best = error;
+                        improved = true;
+                        break;
+                    }
+                    values[name] = original;
+                }
+            }
+        }
+    }
+    return values;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!Number.isFinite(options.seed)) {
+        console.error(
+            'Usage: node tools/tune-values.js <seed> [--games N] [--plies N] [--move-ms N] [--out file]'
+        );
+        process.exit(1);
+    }
+
+    const pieces = PieceGenerator.generateRandomPieces(options.seed);
+    const placement = PieceGenerator.generatePlacement(pieces, options.seed);
+
+    // Every piece that can appear on the board, including promotion targets
+    const prior = {};
+    const addPiece = (piece) => {
+        if (!piece || piece.royal || piece.name in prior) return;
+        prior[piece.name] = Evaluation.pieceTypeValue(piece);
+        (piece.promotionPieces || []).forEach(addPiece);
+    };
+    pieces.forEach(addPiece);
+
+    const ai = new ChessAI('easy');
+    ai.timeLimits.easy = options.moveMs;
+    ai.maxThinkMs = options.moveMs; // no thinking-time boost when behind
+
+    const samples = [];
+    for (let game = 1; game <= options.games; game++) {
+        samples.push(
+            ...(await playGame(pieces, placement, options.seed, options, ai))
+        );
+        process.stderr.write(
+            `\rgame ${game}/${options.games}, ${samples.length} positions`
+        );
+    }
+    process.stderr.write('\n');
+
+    const values = fitValues(samples, prior);
+    for (const name in values) values[name] = Number(values[name].toFixed(2));
+
+    const table = {
+        seed: options.seed,
+        games: options.games,
+        positions: samples.length,
+        values,
+    };
+    const json = JSON.stringify(table, null, 4);
+    if (options.out) {
+        fs.writeFileSync(options.out, json + '\n');
+        console.error(`Wrote ${options.out}`);
+    } else {
+        console.log(json);
+    }
+}
+
+main();